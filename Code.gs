@@ -11,7 +11,7 @@
  * Setup (no config file):
  * 1. Open the Apps Script editor → Project Settings → Script properties
  * 2. Add required properties: QUANTIVE_API_TOKEN, QUANTIVE_ACCOUNT_ID, SESSIONS
- * 3. Add at least one export target: GOOGLE_DOC_ID or TEXT_FILE_URL/TEXT_FILE_ID
+ * 3. Add at least one export target: GOOGLE_DOC_ID, TEXT_FILE_URL/TEXT_FILE_ID, GOOGLE_SHEET_ID, JSON_FILE_ID, CSV_FOLDER_ID, WEBHOOK_URL, EMAIL_RECIPIENTS, OWNER_REPORT_DOC_ID or OWNER_EMAIL_MODE
  * 4. Run generateQuantiveReport() to test
  * 
  * Auto-deployed via GitHub Actions from main branch
@@ -20,20 +20,137 @@
 // Internal configuration (sparkline settings)
 const INTERNAL_CONFIG = {
   SPARKLINE_DAYS: 14,  // Days of history for sparklines
-  SPARKLINE_LENGTH: 10 // Number of points in sparkline
+  SPARKLINE_LENGTH: 10, // Number of points in sparkline
+  HISTORY_TIME_BUDGET_SECONDS: 240, // Stop fetching history this long into the run (Apps Script limit is 360s)
+  DIGEST_AT_RISK_LIMIT: 5, // Objectives listed under "most at risk" in chat digests
+  STALE_DAYS: 14, // Default for STALE_DAYS
+  PACE_TOLERANCE: 10 // Percentage points between progress and expected progress still counted as on pace
 };
 
-// Performance optimization flags
+// Performance optimization defaults
+// The SKIP_* flags can be overridden per deployment in Script Properties (true/false)
 const PERFORMANCE_MODE = {
-  SKIP_PROGRESS_HISTORY: true,   // Skip progress history API calls for major speedup
-  SKIP_SPARKLINES: true,         // Skip sparkline generation
-  SKIP_KR_PROGRESS_HISTORY: true, // Skip key result progress history
+  SKIP_PROGRESS_HISTORY: true,    // Skip objective progress history API calls
+  SKIP_SPARKLINES: false,         // Skip sparkline generation
+  SKIP_KR_PROGRESS_HISTORY: false, // Skip key result progress history (fetched within the time budget)
   USE_BULK_USER_FETCH: true     // Use single bulk user API call instead of individual calls
 };
 
+// Start of this execution, used for time-budgeted work
+const EXECUTION_START_TIME = Date.now();
+
+// Retry policy for Quantive API requests (MAX_RETRIES and RETRY_BUDGET can be overridden in Script Properties)
+const RETRY_CONFIG = {
+  RETRYABLE_STATUS_CODES: [429, 500, 502, 503, 504],
+  MAX_RETRIES: 3,        // Retries per request
+  RETRY_BUDGET: 100,     // Total retries allowed per run
+  BASE_DELAY_MS: 1000,   // First backoff delay, doubled on each retry
+  MAX_DELAY_MS: 60000    // Upper bound for backoff and Retry-After waits
+};
+
+// Resumable (checkpointed) runs across multiple trigger executions
+const CHECKPOINT_CONFIG = {
+  VERSION: 1,
+  FILE_NAME: 'quantive-report-checkpoint.json',
+  FILE_ID_PROPERTY: 'REPORT_CHECKPOINT_FILE_ID',       // Script Property set by the script itself
+  TRIGGER_ID_PROPERTY: 'REPORT_CHECKPOINT_TRIGGER_ID', // Script Property set by the script itself
+  GOAL_SLICE_SIZE: 50,           // Goal details fetched between time checks
+  CONTINUATION_DELAY_MS: 60000,  // Delay before the continuation trigger fires
+  EXECUTION_LIMIT_SECONDS: 360,  // Apps Script execution limit
+  WRITE_STAGE_SECONDS: 180,      // Time kept free for progress history, exports and notifications
+  MAX_AGE_HOURS: 12              // Older checkpoints are discarded and the run starts over
+};
+
+// Paging limits for list endpoints (/sessions, /goals, /users)
+const PAGINATION_CONFIG = {
+  PAGE_SIZE: 200, // Items requested per page (take)
+  MAX_PAGES: 50   // Guard against runaway paging
+};
+
+// Progress snapshot archive format (bump the version when the shape changes)
+const PROGRESS_SNAPSHOT_VERSION = 1;
+const PROGRESS_SNAPSHOT_NAME_PATTERN = /^quantive-snapshot-.+\.json$/;
+
+// Structured JSON export (JSON_FILE_ID); bump the version on breaking changes and update docs/json-export-schema.md
+const JSON_EXPORT_SCHEMA = 'quantive-export';
+const JSON_EXPORT_VERSION = 1;
+
+// Flat CSV export (CSV_FOLDER_ID): files rewritten in the folder on every run
+const CSV_EXPORT_FILES = {
+  objectives: 'objectives.csv',
+  keyResults: 'key_results.csv',
+  tasks: 'tasks.csv'
+};
+
 // User name cache to avoid duplicate API calls
 const USER_NAME_CACHE = {};
 
+// Persistent user directory (display name, email, teams) shared across runs
+const USER_DIRECTORY_CONFIG = {
+  VERSION: 1,
+  FILE_NAME: 'quantive-user-directory.json',
+  FILE_ID_PROPERTY: 'USER_DIRECTORY_FILE_ID', // Script Property set by the script itself
+  DEFAULT_TTL_HOURS: 24
+};
+const USER_DIRECTORY = {
+  loaded: false,
+  dirty: false,
+  bulkFetched: false, // Bulk refresh already done in this execution
+  refreshedAt: null, // Last full (bulk) refresh
+  users: {}
+};
+
+// API results fetched during this execution, shared between report profiles
+const EXECUTION_CACHE = {
+  sessionList: null,
+  sessionDetails: {},
+  objectivesBySession: {},
+  goalDetails: {},
+  progressHistory: {},
+  tasks: {}
+};
+
+// API fixture bundles (API_FIXTURE_MODE record/replay); bump the version when the shape changes
+const API_FIXTURE_CONFIG = {
+  VERSION: 1,
+  FILE_NAME: 'quantive-api-fixture.json',
+  IGNORED_QUERY_PARAMS: ['from', 'to'] // Date windows differ between the recording and the replay day
+};
+
+// Recorded or replayed API traffic for the current execution
+const API_FIXTURE = {
+  mode: null,      // 'record', 'replay' or null
+  fileId: null,
+  baseUrl: null,
+  apiToken: null,
+  recordedAt: null,
+  sessions: [],
+  entries: [],
+  replayCursor: {} // Next entry index per request key
+};
+
+// Objective progress rollup strategies (ROLLUP_STRATEGY)
+const ROLLUP_STRATEGIES = ['attainment', 'average', 'weighted'];
+
+// Status colors used by the Google Doc, chat digest and email digest (keys from classifyStatus)
+const STATUS_COLORS = {
+  good: '#0d7377',
+  risk: '#ff8500',
+  behind: '#d62828'
+};
+
+// Labels for the session comparison status of an objective across periods (COMPARE_SESSIONS)
+const SESSION_COMPARISON_LABELS = {
+  'carried-over': 'Carried over',
+  dropped: 'Dropped',
+  completed: 'Completed',
+  new: 'New'
+};
+
+// Settings a REPORT_PROFILES entry may override (same names as the Script Properties)
+const REPORT_PROFILE_KEYS = ['SESSIONS', 'COMPARE_SESSIONS', 'FILTER', 'LOOKBACK_DAYS', 'GOOGLE_DOC_ID', 'TEXT_FILE_URL', 'TEXT_FILE_ID', 'GOOGLE_SHEET_ID', 'JSON_FILE_ID', 'CSV_FOLDER_ID', 'SNAPSHOT_FOLDER_ID', 'WEBHOOK_URL', 'WEBHOOK_FORMAT', 'EMAIL_RECIPIENTS', 'OWNER_REPORT_DOC_ID', 'OWNER_EMAIL_MODE'];
+const REPORT_PROFILE_EXPORT_KEYS = ['GOOGLE_DOC_ID', 'TEXT_FILE_URL', 'TEXT_FILE_ID', 'GOOGLE_SHEET_ID', 'JSON_FILE_ID', 'CSV_FOLDER_ID', 'SNAPSHOT_FOLDER_ID', 'WEBHOOK_URL', 'EMAIL_RECIPIENTS', 'OWNER_REPORT_DOC_ID', 'OWNER_EMAIL_MODE'];
+
 // Batch processing utilities for performance optimization
 const BatchProcessor = {
   // Build standardized headers for API requests
@@ -75,93 +192,1206 @@ const BatchProcessor = {
     return chunks;
   },
   
-  // Execute batch requests with chunking support
+  // Fetch one chunk in parallel; a failed chunk yields null responses
+  fetchChunk: (chunk) => {
+    try {
+      // Convert request objects to the format expected by UrlFetchApp.fetchAll()
+      const fetchAllRequests = chunk.map(req => ({
+        url: req.url,
+        ...req.options
+      }));
+      
+      return fetchAllApi(fetchAllRequests);
+    } catch (error) {
+      Logger.log(`⚠️ Batch chunk of ${chunk.length} requests failed: ${error.message}`);
+      return Array(chunk.length).fill(null);
+    }
+  },
+  
+  // Transient failures worth retrying: no response, rate limiting and gateway/server errors
+  isRetryableResponse: (response) => {
+    return !response || RETRY_CONFIG.RETRYABLE_STATUS_CODES.includes(response.getResponseCode());
+  },
+  
+  // Parse Retry-After (seconds or HTTP date) into milliseconds, 0 when absent
+  getRetryAfterMs: (response) => {
+    if (!response || typeof response.getHeaders !== 'function') return 0;
+    const headers = response.getHeaders() || {};
+    const headerName = Object.keys(headers).find(key => key.toLowerCase() === 'retry-after');
+    if (!headerName) return 0;
+    
+    const value = String(headers[headerName]).trim();
+    if (/^\d+$/.test(value)) return parseInt(value, 10) * 1000;
+    const retryDate = new Date(value);
+    return isNaN(retryDate.getTime()) ? 0 : Math.max(0, retryDate.getTime() - Date.now());
+  },
+  
+  // Retry transient failures with exponential backoff, honoring Retry-After and the run's retry budget
+  retryFailedResponses: (chunk, responses, config) => {
+    const maxRetries = config && config.maxRetries !== undefined ? config.maxRetries : RETRY_CONFIG.MAX_RETRIES;
+    const retryBudget = config && config.retryBudget !== undefined ? config.retryBudget : RETRY_CONFIG.RETRY_BUDGET;
+    const results = responses.slice();
+    const attempts = results.map(() => 1);
+    let pending = results.map((response, index) => index).filter(index => BatchProcessor.isRetryableResponse(results[index]));
+    
+    for (let retry = 1; retry <= maxRetries && pending.length > 0; retry++) {
+      const budgetLeft = retryBudget - BatchProcessor.runState.retriesUsed;
+      if (budgetLeft <= 0) {
+        Logger.log(`⚠️ Retry budget of ${retryBudget} exhausted; giving up on ${pending.length} request(s)`);
+        break;
+      }
+      
+      const toRetry = pending.slice(0, budgetLeft);
+      const backoffMs = Math.min(RETRY_CONFIG.MAX_DELAY_MS, RETRY_CONFIG.BASE_DELAY_MS * Math.pow(2, retry - 1));
+      const retryAfterMs = Math.max(0, ...toRetry.map(index => BatchProcessor.getRetryAfterMs(results[index])));
+      const delayMs = Math.min(RETRY_CONFIG.MAX_DELAY_MS, Math.max(backoffMs, retryAfterMs));
+      
+      Logger.log(`🔁 Retrying ${toRetry.length} request(s) in ${delayMs}ms (retry ${retry}/${maxRetries})`);
+      Utilities.sleep(delayMs);
+      
+      const retryResponses = BatchProcessor.fetchChunk(toRetry.map(index => chunk[index]));
+      BatchProcessor.runState.retriesUsed += toRetry.length;
+      toRetry.forEach((index, j) => {
+        results[index] = retryResponses[j];
+        attempts[index]++;
+      });
+      
+      pending = pending.filter(index => BatchProcessor.isRetryableResponse(results[index]));
+    }
+    
+    // Statuses a request lists in expectedStatuses (e.g. 404 for a deleted user) are handled by
+    // the caller and are not run issues
+    results.forEach((response, index) => {
+      const status = response ? response.getResponseCode() : null;
+      if ((!response || status >= 400) && !(chunk[index].expectedStatuses || []).includes(status)) {
+        BatchProcessor.recordHttpError(status);
+      }
+    });
+    
+    // Anything still failing transiently is permanently dropped for this run
+    pending.forEach(index => {
+      BatchProcessor.runState.droppedRequests.push({
+        url: chunk[index].url,
+        status: results[index] ? results[index].getResponseCode() : null,
+        attempts: attempts[index]
+      });
+    });
+    
+    return results;
+  },
+  
+  // Fetch a single request through the same retry path as batches; like UrlFetchApp.fetch,
+  // HTTP errors raise unless muteHttpExceptions is set (a request with no response always raises)
+  fetchWithRetry: (url, options, config, expectedStatuses = []) => {
+    const [response] = BatchProcessor.executeBatchRequests([{ url, options: { ...options, muteHttpExceptions: true }, expectedStatuses }], config, 1);
+    if (!response) {
+      throw new Error(`Request failed for ${url}: no response`);
+    }
+    if (!options.muteHttpExceptions && response.getResponseCode() >= 400) {
+      throw new Error(`Request failed for ${url} returned code ${response.getResponseCode()}. Truncated server response: ${response.getContentText().substring(0, 200)}`);
+    }
+    return response;
+  },
+  
+  // Execute batch requests with chunking and retry support
   executeBatchRequests: (requests, config, chunkSize = 25) => {
     if (!requests || requests.length === 0) return [];
     
     const chunks = BatchProcessor.chunkRequests(requests, chunkSize);
     const allResponses = [];
     
-    
     for (let i = 0; i < chunks.length; i++) {
       const chunk = chunks[i];
+      const chunkResponses = BatchProcessor.fetchChunk(chunk);
+      allResponses.push(...BatchProcessor.retryFailedResponses(chunk, chunkResponses, config));
       
-      try {
-        // Convert request objects to the format expected by UrlFetchApp.fetchAll()
-        const fetchAllRequests = chunk.map(req => ({
-          url: req.url,
-          ...req.options
-        }));
-        
-        // Debug: Log the first request to verify format
-        
-        const chunkResponses = UrlFetchApp.fetchAll(fetchAllRequests);
-        
-        allResponses.push(...chunkResponses);
-        
-        // Minimal delay between chunks for performance
-        if (i < chunks.length - 1) {
-          Utilities.sleep(50);
-        }
-      } catch (error) {
-        // Add null responses for failed chunk
-        allResponses.push(...Array(chunk.length).fill(null));
+      // Minimal delay between chunks for performance
+      if (i < chunks.length - 1) {
+        Utilities.sleep(50);
       }
     }
     
     return allResponses;
+  },
+  
+  // Per-run retry accounting (Apps Script globals reset every execution; reset explicitly for local runs)
+  runState: {
+    retriesUsed: 0,
+    droppedRequests: [],
+    httpErrorCounts: {}
+  },
+  
+  resetRunState: () => {
+    BatchProcessor.runState = {
+      retriesUsed: 0,
+      droppedRequests: [],
+      httpErrorCounts: {}
+    };
+  },
+  
+  // Count a failed HTTP outcome for the run diagnostics (status code or 'no response')
+  recordHttpError: (status) => {
+    const key = status ? String(status) : 'no response';
+    BatchProcessor.runState.httpErrorCounts[key] = (BatchProcessor.runState.httpErrorCounts[key] || 0) + 1;
+  },
+  
+  // Log the requests that were permanently dropped after retries
+  logDroppedRequestsSummary: () => {
+    const { retriesUsed, droppedRequests } = BatchProcessor.runState;
+    if (droppedRequests.length === 0) {
+      if (retriesUsed > 0) Logger.log(`✅ All transient failures recovered after ${retriesUsed} retries`);
+      return;
+    }
+    
+    Logger.log(`⚠️ ${droppedRequests.length} request(s) permanently dropped after ${retriesUsed} retries:`);
+    droppedRequests.forEach(dropped => {
+      Logger.log(`   - ${dropped.url} (status: ${dropped.status || 'no response'}, attempts: ${dropped.attempts})`);
+    });
   }
 };
 
 /**
  * Main function - generates a Quantive report
  * Minimal logging; optimized for Apps Script
+ * With REPORT_PROFILES set, generates every profile, or only the named one when profileName is given
+ * (trigger runs pass an event object, which is ignored)
  */
-function generateQuantiveReport() {
+function generateQuantiveReport(profileName) {
   Logger.log('Starting Quantive report generation...');
-  const config = getConfig();
-  const sessionData = fetchSessionData(config);
-  const stats = calculateStats(sessionData, config);
-  if (config.googleDocId) {
-    writeReport(config.googleDocId, sessionData, stats, config);
+  const profiles = getReportProfiles(typeof profileName === 'string' ? profileName : null);
+  try {
+    if (profiles.length === 0) {
+      generateReportForConfig(getConfig());
+      return;
+    }
+    
+    // Validate every profile before fetching anything, so a bad profile cannot stop a run halfway
+    const configErrors = [];
+    const configs = profiles.map(profile => {
+      try {
+        return getConfig(profile);
+      } catch (error) {
+        configErrors.push(error.message);
+        return null;
+      }
+    });
+    if (configErrors.length > 0) {
+      throw new Error(`REPORT_PROFILES has invalid profiles; no reports were generated:\n${configErrors.join('\n\n')}`);
+    }
+    
+    // A profile that fails is logged and skipped; the others still run
+    const failedProfiles = [];
+    profiles.forEach((profile, index) => {
+      Logger.log(`📁 Generating report profile "${profile.name}"`);
+      try {
+        generateReportForConfig(configs[index]);
+      } catch (error) {
+        Logger.log(`❌ Report profile "${profile.name}" failed: ${error.message}`);
+        failedProfiles.push(profile.name);
+      }
+    });
+    if (failedProfiles.length > 0) {
+      throw new Error(`${failedProfiles.length} of ${profiles.length} report profile(s) failed: ${failedProfiles.join(', ')}. See the execution log for details.`);
+    }
+    Logger.log(`Reports generated for ${profiles.length} profile(s).`);
+  } finally {
+    // Save what was recorded even when the run failed - that is the run worth reproducing
+    saveApiFixtureRecording();
+  }
+}
+
+/**
+ * Fetch the session data and calculate the report stats for one configuration
+ * Returns { sessionData, stats }, or null while a resumable run is paused
+ */
+function prepareReport(config) {
+  startApiFixtureMode(config);
+  const sessionData = config.resumableMode ? fetchSessionDataResumable(config) : fetchSessionData(config);
+  if (!sessionData) return null;
+  const previousSnapshot = config.snapshotFolderId ? loadPreviousProgressSnapshot(config.snapshotFolderId) : null;
+  return { sessionData, stats: calculateStats(sessionData, config, previousSnapshot) };
+}
+
+/**
+ * Fetch data and write every configured export target for one configuration
+ */
+function generateReportForConfig(config) {
+  const report = prepareReport(config);
+  if (!report) {
+    Logger.log('Report generation paused; it will resume in the next execution.');
+    return;
   }
+  const { sessionData, stats } = report;
+  // A replayed run reproduces old data, so it must not notify anyone or feed the snapshot history
+  const replaying = config.apiFixtureMode === 'replay';
+  if (replaying) {
+    Logger.log('📼 Replay run: skipping the snapshot archive, email digest, owner emails and webhook');
+  }
+  const docUrl = config.googleDocId ? writeReport(config.googleDocId, sessionData, stats, config) : null;
   if (config.textFileId) {
     writePlainTextSnapshot(config.textFileId, sessionData, stats, config);
   }
+  if (config.googleSheetId) {
+    writeSheetsReport(config.googleSheetId, sessionData, stats, config);
+  }
+  if (config.jsonFileId) {
+    writeJsonExport(config.jsonFileId, sessionData, stats, config);
+  }
+  if (config.csvFolderId) {
+    writeCsvExport(config.csvFolderId, sessionData);
+  }
+  if (!replaying && config.snapshotFolderId) {
+    saveProgressSnapshot(config.snapshotFolderId, buildProgressSnapshot(sessionData, stats));
+  }
+  if (config.resumableMode) {
+    clearReportCheckpoint();
+  }
+  if (!replaying && config.emailRecipients.length > 0) {
+    sendEmailDigest(sessionData, stats, config, docUrl);
+  }
+  if (config.ownerReportDocId || config.ownerEmailMode) {
+    const ownerReports = buildOwnerReports(sessionData, config);
+    const ownerDocUrl = config.ownerReportDocId ? writeOwnerReportsDoc(config.ownerReportDocId, ownerReports, sessionData, config) : null;
+    if (!replaying && config.ownerEmailMode) {
+      sendOwnerReportEmails(ownerReports, config, ownerDocUrl || docUrl);
+    }
+  }
+  if (!replaying && config.webhookUrl) {
+    postWebhookDigest(sessionData, stats, config, docUrl);
+  }
   Logger.log('Report generated.');
 }
 
+/**
+ * Classify a key result status for color coding: 'good', 'risk', 'behind' or null
+ * Same rules as the status breakdown in writeReport
+ */
+function classifyStatus(status) {
+  const normalized = (status || '').toLowerCase();
+  if (normalized.includes('track') || normalized.includes('completed')) return 'good';
+  if (normalized.includes('risk')) return 'risk';
+  if (normalized.includes('behind')) return 'behind';
+  return null;
+}
+
+/**
+ * Objectives with the most at-risk or behind key results (ties broken by lowest progress)
+ */
+function getMostAtRiskObjectives(data, limit) {
+  return data.objectives
+    .map(obj => {
+      const objKeyResults = data.keyResults.filter(kr => kr.goalId === obj.id);
+      return {
+        id: obj.id,
+        name: obj.name || obj.title || 'Untitled objective',
+        ownerName: obj.ownerName || 'Unassigned',
+        progress: calculateObjectiveProgress(obj, objKeyResults),
+        atRiskCount: objKeyResults.filter(kr => ['risk', 'behind'].includes(classifyStatus(kr.status))).length
+      };
+    })
+    .filter(obj => obj.atRiskCount > 0)
+    .sort((a, b) => b.atRiskCount - a.atRiskCount || a.progress - b.progress)
+    .slice(0, limit);
+}
+
+/**
+ * Compact digest of a report for chat messages
+ */
+function buildReportDigest(data, stats, config, docUrl) {
+  const overallDelta = stats.progressDeltas ? formatProgressDelta(stats.progressDeltas.overall) : '';
+  return {
+    title: `Quantive OKR Digest: ${data.sessionNames || data.sessions.map(s => s.name).join(', ')}`,
+    overallProgress: stats.overallProgress,
+    overallDelta,
+    totalObjectives: stats.totalObjectives,
+    totalKeyResults: stats.totalKeyResults,
+    recentUpdates: stats.recentUpdates,
+    lookbackDays: config.lookbackDays,
+    statusBreakdown: Object.entries(stats.statusCounts).map(([status, count]) => ({
+      status,
+      count,
+      percentage: stats.totalKeyResults > 0 ? Math.round((count / stats.totalKeyResults) * 100) : 0
+    })),
+    atRiskObjectives: getMostAtRiskObjectives(data, INTERNAL_CONFIG.DIGEST_AT_RISK_LIMIT),
+    docUrl: docUrl || null
+  };
+}
+
+/**
+ * Escape &, < and > (the control characters of both Slack mrkdwn and Google Chat card text)
+ */
+function escapeDigestText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack incoming webhook payload (Block Kit) for a report digest
+ */
+function buildSlackDigestPayload(digest) {
+  const statusEmoji = { good: '🟢', risk: '🟠', behind: '🔴' };
+  const statusLines = digest.statusBreakdown.length > 0
+    ? digest.statusBreakdown.map(s => `${statusEmoji[classifyStatus(s.status)] || '⚪'} ${escapeDigestText(s.status)}: ${s.count} (${s.percentage}%)`).join('\n')
+    : '_No status information available_';
+  const atRiskLines = digest.atRiskObjectives.length > 0
+    ? digest.atRiskObjectives.map(obj => `• *${escapeDigestText(obj.name)}* – ${obj.progress}% (${obj.atRiskCount} at-risk KR${obj.atRiskCount === 1 ? '' : 's'}, owner: ${escapeDigestText(obj.ownerName)})`).join('\n')
+    : '_No objectives at risk_';
+  // Slack rejects header text over 150 characters; a shortened header is followed by the full title
+  const headerMaxLength = 150;
+  const headerTruncated = digest.title.length > headerMaxLength;
+  const header = headerTruncated ? `${digest.title.substring(0, headerMaxLength - 1)}…` : digest.title;
+  const summary = (headerTruncated ? `*${escapeDigestText(digest.title)}*\n` : '') +
+    `*Overall progress:* ${digest.overallProgress}%${digest.overallDelta ? ` (${digest.overallDelta})` : ''}\n` +
+    `*Objectives:* ${digest.totalObjectives}  •  *Key results:* ${digest.totalKeyResults}  •  *Updated in last ${digest.lookbackDays} days:* ${digest.recentUpdates}`;
+  
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: header } },
+    { type: 'section', text: { type: 'mrkdwn', text: summary } },
+    { type: 'section', text: { type: 'mrkdwn', text: `*Status breakdown*\n${statusLines}` } },
+    { type: 'section', text: { type: 'mrkdwn', text: `*Most at-risk objectives*\n${atRiskLines}` } }
+  ];
+  if (digest.docUrl) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `<${digest.docUrl}|Open the full report>` } });
+  }
+  
+  // "text" is the notification fallback for clients that do not render blocks
+  return { text: `${digest.title}: ${digest.overallProgress}% overall progress`, blocks };
+}
+
+/**
+ * Google Chat webhook payload (cardsV2) for a report digest
+ */
+function buildGoogleChatDigestPayload(digest) {
+  const statusLines = digest.statusBreakdown.length > 0
+    ? digest.statusBreakdown.map(s => {
+      const color = STATUS_COLORS[classifyStatus(s.status)];
+      const label = color ? `<font color="${color}">${escapeDigestText(s.status)}</font>` : escapeDigestText(s.status);
+      return `${label}: ${s.count} (${s.percentage}%)`;
+    }).join('<br>')
+    : '<i>No status information available</i>';
+  const atRiskLines = digest.atRiskObjectives.length > 0
+    ? digest.atRiskObjectives.map(obj => `<b>${escapeDigestText(obj.name)}</b> – ${obj.progress}% (${obj.atRiskCount} at-risk, owner: ${escapeDigestText(obj.ownerName)})`).join('<br>')
+    : '<i>No objectives at risk</i>';
+  
+  const sections = [
+    {
+      widgets: [{ textParagraph: { text: `<b>Objectives:</b> ${digest.totalObjectives} · <b>Key results:</b> ${digest.totalKeyResults} · <b>Updated in last ${digest.lookbackDays} days:</b> ${digest.recentUpdates}` } }]
+    },
+    { header: 'Status breakdown', widgets: [{ textParagraph: { text: statusLines } }] },
+    { header: 'Most at-risk objectives', widgets: [{ textParagraph: { text: atRiskLines } }] }
+  ];
+  if (digest.docUrl) {
+    sections.push({
+      widgets: [{ buttonList: { buttons: [{ text: 'Open the full report', onClick: { openLink: { url: digest.docUrl } } }] } }]
+    });
+  }
+  
+  return {
+    text: `${digest.title}: ${digest.overallProgress}% overall progress`,
+    cardsV2: [{
+      cardId: 'quantive-digest',
+      card: {
+        header: {
+          title: digest.title,
+          subtitle: `Overall progress: ${digest.overallProgress}%${digest.overallDelta ? ` (${digest.overallDelta})` : ''}`
+        },
+        sections
+      }
+    }]
+  };
+}
+
+/**
+ * Post a report digest to a Slack or Google Chat incoming webhook
+ */
+function postWebhookDigest(data, stats, config, docUrl) {
+  const digest = buildReportDigest(data, stats, config, docUrl);
+  const payload = config.webhookFormat === 'googlechat'
+    ? buildGoogleChatDigestPayload(digest)
+    : buildSlackDigestPayload(digest);
+  
+  const response = UrlFetchApp.fetch(config.webhookUrl, {
+    method: 'post',
+    contentType: 'application/json',
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true
+  });
+  
+  const responseCode = response.getResponseCode();
+  if (responseCode < 200 || responseCode >= 300) {
+    throw new Error(`Webhook digest post failed with status ${responseCode}: ${response.getContentText().substring(0, 200)}`);
+  }
+  Logger.log(`💬 Digest posted to ${config.webhookFormat === 'googlechat' ? 'Google Chat' : 'Slack'} webhook`);
+}
+
+/**
+ * Build the structured content shared by the markdown snapshot and the HTML email digest
+ * Sections: title, executive summary, status breakdown, objectives tree and data quality
+ */
+function buildSnapshotModel(data, stats, config) {
+  const deltas = stats.progressDeltas;
+  const overallDelta = deltas ? formatProgressDelta(deltas.overall) : '';
+  
+  const summary = [
+    ['Overall Progress', `${stats.overallProgress}%${overallDelta ? ` (${overallDelta})` : ''}`],
+    ['Total Objectives', `${stats.totalObjectives}`],
+    ['Total Key Results', `${stats.totalKeyResults}`],
+    ['Recent Updates', `${stats.recentUpdates} (last ${config.lookbackDays} days)`],
+    ['Stale Key Results', `${stats.staleKeyResults.length} (no update in ${config.staleDays} days)`],
+    ...getForecastSummaryItems(stats)
+  ];
+  if (stats.hierarchyStats) {
+    summary.push(['Hierarchy Levels', `${stats.hierarchyStats.totalLevels}`]);
+    summary.push(['Root Objectives', `${stats.hierarchyStats.rootObjectives}`]);
+    summary.push(['Leaf Objectives', `${stats.hierarchyStats.leafObjectives}`]);
+  }
+  
+  const statusBreakdown = Object.entries(stats.statusCounts || {}).map(([status, count]) => ({
+    status,
+    count,
+    percentage: stats.totalKeyResults > 0 ? Math.round((count / stats.totalKeyResults) * 100) : 0
+  }));
+  
+  // PERFORMANCE OPTIMIZATION: Create Map for O(1) key result lookups
+  const keyResultsByGoal = new Map();
+  data.keyResults.forEach(kr => {
+    if (!keyResultsByGoal.has(kr.goalId)) {
+      keyResultsByGoal.set(kr.goalId, []);
+    }
+    keyResultsByGoal.get(kr.goalId).push(kr);
+  });
+  
+  const objectivesToProcess = data.hierarchicalObjectives || data.objectives.map((obj, i) => ({ ...obj, level: 0, hierarchicalIndex: i + 1 }));
+  const forecasts = stats.forecast || { objectives: {}, keyResults: {} };
+  const objectives = objectivesToProcess.map(objective => {
+    const objKeyResults = keyResultsByGoal.get(objective.id) || [];
+    return {
+      level: objective.level || 0,
+      name: objective.name,
+      progress: calculateObjectiveProgress(objective, objKeyResults),
+      delta: deltas ? formatProgressDelta(deltas.objectives[objective.id]) : '',
+      ownerName: objective.ownerName || 'Unassigned',
+      sessionName: data.sessionCount > 1 ? objective.sessionName : null,
+      pace: formatForecast(forecasts.objectives[objective.id]) || null,
+      description: objective.description && objective.description.trim() ? objective.description : null,
+      keyResults: objKeyResults.map(kr => ({
+        name: kr.name,
+        progress: Math.round(getKeyResultProgress(kr)),
+        ownerName: kr.ownerName || kr.objectiveOwner || 'Unassigned',
+        status: kr.status || null,
+        pace: formatForecast(forecasts.keyResults[kr.id]) || null,
+        trend: kr.sparkline && kr.sparkline !== '—' ? kr.sparkline : null,
+        description: kr.description && kr.description.trim() ? kr.description : null,
+        tasks: (kr.tasks || []).map(task => ({
+          name: task.name || task.title,
+          ownerName: task.ownerName || 'Unassigned',
+          status: task.status || task.state || 'Unknown'
+        }))
+      }))
+    };
+  });
+  
+  return {
+    title: `Quantive Snapshot: ${data.sessionCount > 1 ? data.sessionNames : data.sessions[0].name}`,
+    generatedAt: new Date().toISOString(),
+    summary,
+    statusBreakdown,
+    objectives,
+    staleKeyResults: {
+      title: config.needsAttentionAtTop ? 'Needs Attention' : 'Stale Key Results',
+      atTop: !!config.needsAttentionAtTop,
+      items: stats.staleKeyResults.map(formatStaleKeyResult)
+    },
+    dataQuality: data.diagnostics ? getDataQualityItems(data.diagnostics) : null
+  };
+}
+
 /**
  * Build a plain text snapshot string (markdown-friendly)
  */
 function buildPlainTextSnapshot(data, stats, config) {
+  const model = buildSnapshotModel(data, stats, config);
   const lines = [];
-  const title = data.sessionCount > 1
-    ? `# Quantive Snapshot: ${data.sessionNames}`
-    : `# Quantive Snapshot: ${data.sessions[0].name}`;
-  lines.push(title);
+  lines.push(`# ${model.title}`);
   lines.push('');
-  lines.push(`Generated: ${new Date().toISOString()}`);
+  lines.push(`Generated: ${model.generatedAt}`);
   lines.push('');
+  const pushStaleSection = () => {
+    lines.push(`## ${model.staleKeyResults.title}`);
+    if (model.staleKeyResults.items.length > 0) {
+      model.staleKeyResults.items.forEach(item => lines.push(`- ${item}`));
+    } else {
+      lines.push('- No stale key results');
+    }
+    lines.push('');
+  };
+  if (model.staleKeyResults.atTop) pushStaleSection();
   lines.push('## Executive Summary');
-  lines.push(`- Overall Progress: ${stats.overallProgress}%`);
-  lines.push(`- Total Objectives: ${stats.totalObjectives}`);
-  lines.push(`- Total Key Results: ${stats.totalKeyResults}`);
-  lines.push(`- Recent Updates: ${stats.recentUpdates} (last ${config.lookbackDays} days)`);
-  if (stats.hierarchyStats) {
-    lines.push(`- Hierarchy Levels: ${stats.hierarchyStats.totalLevels}`);
-    lines.push(`- Root Objectives: ${stats.hierarchyStats.rootObjectives}`);
-    lines.push(`- Leaf Objectives: ${stats.hierarchyStats.leafObjectives}`);
-  }
+  model.summary.forEach(([label, value]) => lines.push(`- ${label}: ${value}`));
   lines.push('');
   lines.push('## Status Breakdown');
-  Object.entries(stats.statusCounts || {}).forEach(([status, count]) => {
-    const pct = stats.totalKeyResults > 0 ? Math.round((count / stats.totalKeyResults) * 100) : 0;
-    lines.push(`- ${status}: ${count} (${pct}%)`);
+  model.statusBreakdown.forEach(({ status, count, percentage }) => {
+    lines.push(`- ${status}: ${count} (${percentage}%)`);
   });
   lines.push('');
   lines.push('## Objectives & Key Results');
   
+  model.objectives.forEach((objective) => {
+    const indent = '  '.repeat(objective.level);
+    lines.push(`${indent}- ${objective.name} (Progress: ${objective.progress}%${objective.delta ? `, ${objective.delta}` : ''} | Owner: ${objective.ownerName}${objective.sessionName ? ` | Session: ${objective.sessionName}` : ''}${objective.pace ? ` | Pace: ${objective.pace}` : ''})`);
+    if (objective.description) {
+      lines.push(`${indent}  - Description: ${objective.description}`);
+    }
+    if (objective.keyResults.length > 0) {
+      objective.keyResults.forEach((kr) => {
+        lines.push(`${indent}  - KR: ${kr.name} (Progress: ${kr.progress}% | Owner: ${kr.ownerName}${kr.pace ? ` | Pace: ${kr.pace}` : ''}${kr.trend ? ` | Trend: ${kr.trend}` : ''})`);
+        if (kr.description) {
+          lines.push(`${indent}    - Note: ${kr.description}`);
+        }
+        kr.tasks.forEach(task => {
+          lines.push(`${indent}    - Task: ${task.name} (Owner: ${task.ownerName} | Status: ${task.status})`);
+        });
+      });
+    } else {
+      lines.push(`${indent}  - Key Results: None`);
+    }
+  });
+  lines.push('');
+  if (!model.staleKeyResults.atTop) pushStaleSection();
+  if (model.dataQuality) {
+    lines.push('## Data Quality');
+    model.dataQuality.forEach(([label, value]) => {
+      lines.push(`- ${label}: ${value}`);
+    });
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render the snapshot model as a styled HTML email (inline styles for mail clients)
+ */
+function buildHtmlEmailDigest(data, stats, config, docUrl = null) {
+  const model = buildSnapshotModel(data, stats, config);
+  const esc = escapeDigestText;
+  const statusStyle = (status) => {
+    const color = STATUS_COLORS[classifyStatus(status)];
+    return color ? ` style="color:${color};font-weight:bold"` : '';
+  };
+  const html = [];
+  
+  html.push('<div style="font-family:Arial,Helvetica,sans-serif;font-size:14px;color:#202124;max-width:800px">');
+  html.push(`<h1 style="font-size:22px;color:#0d7377">${esc(model.title)}</h1>`);
+  html.push(`<p style="color:#666666;font-size:12px">Generated: ${esc(model.generatedAt)}</p>`);
+  if (docUrl) {
+    html.push(`<p><a href="${esc(docUrl)}" style="color:#0d7377">Open the full report</a></p>`);
+  }
+  
+  const pushStaleSection = () => {
+    html.push(`<h2 style="font-size:18px">${esc(model.staleKeyResults.title)}</h2><ul>`);
+    if (model.staleKeyResults.items.length > 0) {
+      model.staleKeyResults.items.forEach(item => html.push(`<li style="color:${STATUS_COLORS.risk}">${esc(item)}</li>`));
+    } else {
+      html.push(`<li style="color:${STATUS_COLORS.good}">No stale key results</li>`);
+    }
+    html.push('</ul>');
+  };
+  if (model.staleKeyResults.atTop) pushStaleSection();
+  
+  html.push('<h2 style="font-size:18px">Executive Summary</h2><ul>');
+  model.summary.forEach(([label, value]) => html.push(`<li><b>${esc(label)}:</b> ${esc(value)}</li>`));
+  html.push('</ul>');
+  
+  html.push('<h2 style="font-size:18px">Status Breakdown</h2><ul>');
+  if (model.statusBreakdown.length > 0) {
+    model.statusBreakdown.forEach(({ status, count, percentage }) => {
+      html.push(`<li><span${statusStyle(status)}>${esc(status)}</span>: ${count} (${percentage}%)</li>`);
+    });
+  } else {
+    html.push('<li style="color:#999999"><i>No status information available</i></li>');
+  }
+  html.push('</ul>');
+  
+  html.push('<h2 style="font-size:18px">Objectives &amp; Key Results</h2>');
+  model.objectives.forEach(objective => {
+    const margin = objective.level * 24;
+    html.push(`<div style="margin:12px 0 0 ${margin}px">`);
+    html.push(`<div><b>${esc(objective.name)}</b> <span style="color:#666666">(Progress: ${objective.progress}%${objective.delta ? `, ${esc(objective.delta)}` : ''} | Owner: ${esc(objective.ownerName)}${objective.sessionName ? ` | Session: ${esc(objective.sessionName)}` : ''}${objective.pace ? ` | Pace: ${esc(objective.pace)}` : ''})</span></div>`);
+    if (objective.description) {
+      html.push(`<div style="color:#666666;font-style:italic">${esc(objective.description).replace(/\n/g, '<br>')}</div>`);
+    }
+    html.push('<ul style="margin-top:4px">');
+    if (objective.keyResults.length > 0) {
+      objective.keyResults.forEach(kr => {
+        const status = kr.status ? ` | <span${statusStyle(kr.status)}>${esc(kr.status)}</span>` : '';
+        const pace = kr.pace ? ` | Pace: ${esc(kr.pace)}` : '';
+        const trend = kr.trend ? ` | Trend: <span style="font-family:monospace">${esc(kr.trend)}</span>` : '';
+        html.push(`<li>${esc(kr.name)} <span style="color:#666666">(Progress: ${kr.progress}% | Owner: ${esc(kr.ownerName)}${status}${pace}${trend})</span>`);
+        if (kr.description || kr.tasks.length > 0) {
+          html.push('<ul>');
+          if (kr.description) {
+            html.push(`<li style="color:#666666;font-style:italic">Note: ${esc(kr.description)}</li>`);
+          }
+          kr.tasks.forEach(task => {
+            html.push(`<li>Task: ${esc(task.name)} <span style="color:#666666">(Owner: ${esc(task.ownerName)} | Status: ${esc(task.status)})</span></li>`);
+          });
+          html.push('</ul>');
+        }
+        html.push('</li>');
+      });
+    } else {
+      html.push('<li style="color:#999999"><i>Key Results: None</i></li>');
+    }
+    html.push('</ul></div>');
+  });
+  
+  if (!model.staleKeyResults.atTop) pushStaleSection();
+  if (model.dataQuality) {
+    html.push('<h2 style="font-size:18px">Data Quality</h2><ul>');
+    model.dataQuality.forEach(([label, value]) => {
+      const color = label === 'Status' ? (data.diagnostics.issueCount > 0 ? STATUS_COLORS.risk : STATUS_COLORS.good) : null;
+      html.push(`<li${color ? ` style="color:${color}"` : ''}><b>${esc(label)}:</b> ${esc(value)}</li>`);
+    });
+    html.push('</ul>');
+  }
+  html.push('</div>');
+  return html.join('\n');
+}
+
+/**
+ * Email the HTML digest to EMAIL_RECIPIENTS (markdown snapshot as the plain-text alternative)
+ */
+function sendEmailDigest(data, stats, config, docUrl = null) {
+  const subject = `Quantive OKR Report: ${data.sessionNames || data.sessions.map(s => s.name).join(', ')} (${stats.overallProgress}% overall)`;
+  MailApp.sendEmail({
+    to: config.emailRecipients.join(','),
+    subject,
+    body: buildPlainTextSnapshot(data, stats, config),
+    htmlBody: buildHtmlEmailDigest(data, stats, config, docUrl)
+  });
+  Logger.log(`📧 Email digest sent to ${config.emailRecipients.length} recipient(s)`);
+}
+
+/**
+ * Overwrite a Drive text file with the snapshot content
+ */
+function writePlainTextSnapshot(fileId, data, stats, config) {
+  try {
+    const content = buildPlainTextSnapshot(data, stats, config);
+    const file = DriveApp.getFileById(fileId);
+    file.setContent(content);
+    file.setName('quantive-snapshot.md');
+    Logger.log(`Plain text snapshot written to file ID: ${fileId}`);
+  } catch (e) {
+    Logger.log(`Failed to write plain text snapshot: ${e.message}`);
+    throw e;
+  }
+}
+
+/**
+ * Build the structured JSON export (schema documented in docs/json-export-schema.md)
+ * Objects are mapped field by field so the schema stays stable when the API adds fields
+ */
+function buildJsonExport(data, stats, config) {
+  const hierarchyField = detectHierarchyField(data.objectives);
+  const forecast = stats.forecast || { objectives: {}, keyResults: {} };
+  const keyResultsByGoal = new Map();
+  data.keyResults.forEach(kr => {
+    if (!keyResultsByGoal.has(kr.goalId)) {
+      keyResultsByGoal.set(kr.goalId, []);
+    }
+    keyResultsByGoal.get(kr.goalId).push(kr);
+  });
+  const toIsoDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  };
+  const toHistory = (history) => (history || []).map(entry => ({ date: toIsoDate(entry.date), progress: entry.progress }));
+  
+  const sessions = data.sessions.map(session => {
+    const timeframe = getSessionTimeframe(session);
+    return {
+      id: session.id,
+      name: session.name,
+      status: session.status || null,
+      start: timeframe ? timeframe.start.toISOString() : null,
+      end: timeframe ? timeframe.end.toISOString() : null
+    };
+  });
+  
+  const objectivesInOrder = data.hierarchicalObjectives || data.objectives.map((obj, i) => ({ ...obj, level: 0, hierarchicalIndex: i + 1, children: [] }));
+  const objectives = objectivesInOrder.map(objective => {
+    const objKeyResults = keyResultsByGoal.get(objective.id) || [];
+    return {
+      id: objective.id,
+      name: objective.name || objective.title || '',
+      description: objective.description || null,
+      sessionId: objective.sessionId || null,
+      sessionName: objective.sessionName || null,
+      parentId: hierarchyField ? objective[hierarchyField] || null : null,
+      childIds: objective.children || [],
+      level: objective.level || 0,
+      hierarchicalIndex: String(objective.hierarchicalIndex || ''),
+      ownerId: objective.ownerId || null,
+      ownerName: objective.ownerName || null,
+      ownerEmail: objective.ownerEmail || null,
+      ownerTeams: objective.ownerTeams || [],
+      progress: calculateObjectiveProgress(objective, objKeyResults),
+      attainment: typeof objective.attainment === 'number' ? objective.attainment : null,
+      status: objective.status || null,
+      weight: typeof objective.weight === 'number' ? objective.weight : null,
+      keyResultIds: objKeyResults.map(kr => kr.id),
+      forecast: forecast.objectives[objective.id] || null,
+      progressHistory: toHistory(objective.progressHistory)
+    };
+  });
+  
+  const keyResults = data.keyResults.map(kr => ({
+    id: kr.id,
+    objectiveId: kr.goalId || null,
+    name: kr.name || '',
+    description: kr.description || null,
+    ownerId: kr.ownerId || null,
+    ownerName: kr.ownerName || kr.objectiveOwner || null,
+    ownerEmail: kr.ownerEmail || null,
+    ownerTeams: kr.ownerTeams || [],
+    progress: Math.round(getKeyResultProgress(kr)),
+    attainment: typeof kr.attainment === 'number' ? kr.attainment : null,
+    status: kr.status || null,
+    weight: typeof kr.weight === 'number' ? kr.weight : null,
+    lastModified: toIsoDate(kr.lastModified || kr.dateModified || kr.modifiedAt),
+    daysSinceUpdate: getDaysSinceUpdate(kr),
+    forecast: forecast.keyResults[kr.id] || null,
+    progressHistory: toHistory(kr.progressHistory),
+    tasks: (kr.tasks || []).map(task => ({
+      id: task.id || null,
+      name: task.name || task.title || '',
+      status: task.status || task.state || null,
+      ownerId: task.ownerId || task.assigneeId || null,
+      ownerName: task.ownerName || null
+    }))
+  }));
+  
+  const forecastSummary = stats.forecast ? {
+    expectedProgress: stats.forecast.expectedProgress,
+    projectedAttainment: stats.forecast.projectedAttainment,
+    objectivePace: stats.forecast.objectivePace,
+    keyResultPace: stats.forecast.keyResultPace
+  } : null;
+  
+  return {
+    schema: JSON_EXPORT_SCHEMA,
+    schemaVersion: JSON_EXPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    generator: {
+      sessions: config.sessions,
+      filter: config.filterExpression || null,
+      lookbackDays: config.lookbackDays,
+      staleDays: config.staleDays,
+      rollupStrategy: config.rollupStrategy,
+      rollupChildObjectives: config.rollupChildObjectives,
+      includeTasks: config.includeTasks
+    },
+    sessions,
+    objectives,
+    keyResults,
+    hierarchy: {
+      parentField: hierarchyField,
+      rootObjectiveIds: objectives.filter(obj => obj.level === 0).map(obj => obj.id),
+      order: objectives.map(obj => obj.id)
+    },
+    stats: {
+      overallProgress: stats.overallProgress,
+      totalObjectives: stats.totalObjectives,
+      totalKeyResults: stats.totalKeyResults,
+      statusCounts: stats.statusCounts,
+      recentUpdates: stats.recentUpdates,
+      staleKeyResults: stats.staleKeyResults,
+      hierarchy: stats.hierarchyStats || null,
+      forecast: forecastSummary,
+      progressDeltas: stats.progressDeltas || null
+    },
+    diagnostics: data.diagnostics || null
+  };
+}
+
+/**
+ * Write the structured JSON export to a Drive file
+ */
+function writeJsonExport(fileId, data, stats, config) {
+  try {
+    const file = DriveApp.getFileById(fileId);
+    file.setContent(JSON.stringify(buildJsonExport(data, stats, config), null, 2));
+    file.setName('quantive-export.json');
+    Logger.log(`JSON export written to file ID: ${fileId}`);
+  } catch (e) {
+    Logger.log(`Failed to write JSON export: ${e.message}`);
+    throw e;
+  }
+}
+
+/**
+ * Prefix text starting with =, +, -, @, tab or CR with an apostrophe so spreadsheets do not run it
+ * as a formula; other values are returned unchanged
+ */
+function neutralizeFormulaText(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Format one CSV field (RFC 4180): quote fields containing commas, quotes or line breaks,
+ * and neutralize text a spreadsheet would run as a formula
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(neutralizeFormulaText(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text with a header row and CRLF line endings
+ */
+function buildCsv(headers, rows) {
+  return [headers, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the flat CSV export: { fileName: csvText } for objectives, key results and tasks
+ * Rows link to their parents by ID; progress is a whole percentage and timestamps are ISO 8601
+ */
+function buildCsvExportFiles(data) {
+  const hierarchyField = detectHierarchyField(data.objectives);
+  const objectivesById = new Map(data.objectives.map(obj => [obj.id, obj]));
+  const keyResultsByGoal = new Map();
+  data.keyResults.forEach(kr => {
+    if (!keyResultsByGoal.has(kr.goalId)) {
+      keyResultsByGoal.set(kr.goalId, []);
+    }
+    keyResultsByGoal.get(kr.goalId).push(kr);
+  });
+  const lastModified = (item) => {
+    const timestamp = item.lastModified || item.dateModified || item.modifiedAt;
+    const date = timestamp ? new Date(timestamp) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : '';
+  };
+  
+  const objectivesInOrder = data.hierarchicalObjectives || data.objectives;
+  const objectiveRows = objectivesInOrder.map(objective => [
+    objective.id,
+    hierarchyField ? objective[hierarchyField] || '' : '',
+    objective.sessionName || '',
+    objective.name || objective.title || '',
+    objective.description || '',
+    objective.ownerId || '',
+    objective.ownerName || 'Unassigned',
+    calculateObjectiveProgress(objective, keyResultsByGoal.get(objective.id) || []),
+    objective.status || '',
+    lastModified(objective)
+  ]);
+  
+  const keyResultRows = [];
+  const taskRows = [];
+  data.keyResults.forEach(kr => {
+    const objective = objectivesById.get(kr.goalId);
+    const sessionName = objective ? objective.sessionName || '' : '';
+    keyResultRows.push([
+      kr.id,
+      kr.goalId || '',
+      sessionName,
+      kr.name || '',
+      kr.description || '',
+      kr.ownerId || '',
+      kr.ownerName || kr.objectiveOwner || 'Unassigned',
+      Math.round(getKeyResultProgress(kr)),
+      kr.status || '',
+      lastModified(kr)
+    ]);
+    (kr.tasks || []).forEach(task => {
+      taskRows.push([
+        task.id || '',
+        kr.id,
+        kr.goalId || '',
+        sessionName,
+        task.name || task.title || '',
+        task.ownerId || task.assigneeId || '',
+        task.ownerName || 'Unassigned',
+        task.status || task.state || '',
+        lastModified(task)
+      ]);
+    });
+  });
+  
+  return {
+    [CSV_EXPORT_FILES.objectives]: buildCsv(
+      ['id', 'parent_id', 'session_name', 'name', 'description', 'owner_id', 'owner_name', 'progress', 'status', 'last_modified'],
+      objectiveRows),
+    [CSV_EXPORT_FILES.keyResults]: buildCsv(
+      ['id', 'objective_id', 'session_name', 'name', 'description', 'owner_id', 'owner_name', 'progress', 'status', 'last_modified'],
+      keyResultRows),
+    [CSV_EXPORT_FILES.tasks]: buildCsv(
+      ['id', 'key_result_id', 'objective_id', 'session_name', 'name', 'owner_id', 'owner_name', 'status', 'last_modified'],
+      taskRows)
+  };
+}
+
+/**
+ * Write the CSV export into a Drive folder, replacing the files from the previous run
+ */
+function writeCsvExport(folderId, data) {
+  try {
+    const folder = DriveApp.getFolderById(folderId);
+    Object.entries(buildCsvExportFiles(data)).forEach(([fileName, content]) => {
+      const existing = folder.getFilesByName(fileName);
+      if (existing.hasNext()) {
+        existing.next().setContent(content);
+      } else {
+        folder.createFile(fileName, content, 'text/csv');
+      }
+    });
+    Logger.log(`CSV export written to folder ID: ${folderId}`);
+  } catch (e) {
+    Logger.log(`Failed to write CSV export: ${e.message}`);
+    throw e;
+  }
+}
+
+/**
+ * Whole days since an item was last updated, or null when it has no update timestamp
+ */
+function getDaysSinceUpdate(item, now = new Date()) {
+  const timestamp = item.lastModified || item.dateModified || item.modifiedAt;
+  if (!timestamp) return null;
+  const updated = new Date(timestamp);
+  if (isNaN(updated.getTime())) return null;
+  return Math.max(0, Math.floor((now.getTime() - updated.getTime()) / (1000 * 60 * 60 * 24)));
+}
+
+/**
+ * Group objectives and key results by owner for personalized check-in reports
+ * An item needs a check-in when it was not updated within LOOKBACK_DAYS (or has no update time);
+ * objectives without their own timestamp use their most recently updated key result.
+ */
+function buildOwnerReports(data, config) {
+  const now = new Date();
+  const owners = new Map();
+  // Owners are keyed by user ID; the name is only used when no ID is known
+  const ownerEntry = (item, ownerId = item.ownerId, ownerEmail = item.ownerEmail) => {
+    const ownerName = item.ownerName || item.objectiveOwner;
+    if (!ownerName || ownerName === 'Unassigned') return null;
+    const key = ownerId || ownerName;
+    if (!owners.has(key)) {
+      owners.set(key, { ownerName, ownerEmail: ownerEmail || null, objectives: [], keyResults: [] });
+    }
+    const entry = owners.get(key);
+    entry.ownerEmail = entry.ownerEmail || ownerEmail || null;
+    return entry;
+  };
+  
+  const objectivesById = new Map(data.objectives.map(obj => [obj.id, obj]));
+  
+  const keyResultsByGoal = new Map();
+  data.keyResults.forEach(kr => {
+    if (!keyResultsByGoal.has(kr.goalId)) {
+      keyResultsByGoal.set(kr.goalId, []);
+    }
+    keyResultsByGoal.get(kr.goalId).push(kr);
+  });
+  
+  data.objectives.forEach(obj => {
+    const entry = ownerEntry(obj);
+    if (!entry) return;
+    const objKeyResults = keyResultsByGoal.get(obj.id) || [];
+    const krDays = objKeyResults.map(kr => getDaysSinceUpdate(kr, now)).filter(days => days !== null);
+    const ownDays = getDaysSinceUpdate(obj, now);
+    const daysSinceUpdate = ownDays !== null ? ownDays : (krDays.length > 0 ? Math.min(...krDays) : null);
+    entry.objectives.push({
+      name: obj.name || obj.title,
+      sessionName: data.sessionCount > 1 ? obj.sessionName : null,
+      progress: calculateObjectiveProgress(obj, objKeyResults),
+      daysSinceUpdate,
+      needsCheckIn: daysSinceUpdate === null || daysSinceUpdate > config.lookbackDays
+    });
+  });
+  
+  data.keyResults.forEach(kr => {
+    // A key result without its own owner ID inherits the objective owner, so use that owner's ID
+    const parent = objectivesById.get(kr.goalId);
+    const inheritsOwner = !kr.ownerId && parent && (!kr.ownerName || kr.ownerName === parent.ownerName);
+    const entry = inheritsOwner ? ownerEntry(kr, parent.ownerId, kr.ownerEmail || parent.ownerEmail) : ownerEntry(kr);
+    if (!entry) return;
+    const daysSinceUpdate = getDaysSinceUpdate(kr, now);
+    entry.keyResults.push({
+      name: kr.name,
+      objectiveName: kr.objectiveName || '',
+      progress: Math.round(getKeyResultProgress(kr)),
+      status: kr.status || 'Unknown',
+      daysSinceUpdate,
+      needsCheckIn: daysSinceUpdate === null || daysSinceUpdate > config.lookbackDays
+    });
+  });
+  
+  return [...owners.values()]
+    .map(entry => ({
+      ...entry,
+      checkInCount: entry.objectives.filter(o => o.needsCheckIn).length + entry.keyResults.filter(kr => kr.needsCheckIn).length
+    }))
+    .sort((a, b) => a.ownerName.localeCompare(b.ownerName));
+}
+
+/**
+ * Human-readable last update for owner reports
+ */
+function formatDaysSinceUpdate(daysSinceUpdate) {
+  if (daysSinceUpdate === null) return 'never updated';
+  if (daysSinceUpdate === 0) return 'updated today';
+  return `updated ${daysSinceUpdate} day${daysSinceUpdate === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * Write one section per owner to a Google Doc (check-in items first, then everything they own)
+ */
+function writeOwnerReportsDoc(docId, ownerReports, data, config) {
+  let doc;
+  try {
+    doc = DocumentApp.openById(docId);
+  } catch (docError) {
+    Logger.log(`❌ Failed to open owner report document with ID: ${docId}`);
+    throw new Error(`Cannot access document ${docId}. ${docError.message}`);
+  }
+  const body = doc.getBody();
+  
+  // Ensure the document doesn't end with a list item before clearing
+  body.appendParagraph('');
+  body.clear();
+  
+  body.appendParagraph(`Check-in Report by Owner: ${data.sessionNames}`).setHeading(DocumentApp.ParagraphHeading.TITLE);
+  const generatedParagraph = body.appendParagraph(`Generated: ${new Date().toLocaleString()}`);
+  generatedParagraph.editAsText().setBold(0, 9, true); // Make "Generated:" bold
+  body.appendParagraph(`Items not updated in the last ${config.lookbackDays} days are listed under "Needs check-in".`);
+  
+  const appendBullet = (text, color = null) => {
+    const item = body.appendListItem(text);
+    item.setGlyphType(DocumentApp.GlyphType.BULLET);
+    if (color) item.setForegroundColor(color);
+    return item;
+  };
+  
+  ownerReports.forEach(report => {
+    body.appendParagraph('');
+    body.appendParagraph(report.ownerName).setHeading(DocumentApp.ParagraphHeading.HEADING1);
+    body.appendParagraph(`${report.objectives.length} objective(s), ${report.keyResults.length} key result(s), ${report.checkInCount} need a check-in`);
+    
+    const checkInItems = [
+      ...report.objectives.filter(o => o.needsCheckIn).map(o => `Objective: ${o.name} (${formatDaysSinceUpdate(o.daysSinceUpdate)})`),
+      ...report.keyResults.filter(kr => kr.needsCheckIn).map(kr => `KR: ${kr.name} (${formatDaysSinceUpdate(kr.daysSinceUpdate)})`)
+    ];
+    if (checkInItems.length > 0) {
+      body.appendParagraph('Needs check-in').setHeading(DocumentApp.ParagraphHeading.HEADING3);
+      checkInItems.forEach(text => appendBullet(text, STATUS_COLORS.risk));
+    }
+    
+    if (report.objectives.length > 0) {
+      body.appendParagraph('Objectives').setHeading(DocumentApp.ParagraphHeading.HEADING3);
+      report.objectives.forEach(o => appendBullet(`${o.name} (Progress: ${o.progress}% | ${formatDaysSinceUpdate(o.daysSinceUpdate)}${o.sessionName ? ` | Session: ${o.sessionName}` : ''})`));
+    }
+    if (report.keyResults.length > 0) {
+      body.appendParagraph('Key Results').setHeading(DocumentApp.ParagraphHeading.HEADING3);
+      report.keyResults.forEach(kr => {
+        appendBullet(`${kr.name} (Progress: ${kr.progress}% | Status: ${kr.status} | ${formatDaysSinceUpdate(kr.daysSinceUpdate)})${kr.objectiveName ? ` – Objective: ${kr.objectiveName}` : ''}`,
+          STATUS_COLORS[classifyStatus(kr.status)] || null);
+      });
+    }
+  });
+  
+  Logger.log(`📄 Owner report written for ${ownerReports.length} owner(s): ${doc.getUrl()}`);
+  return doc.getUrl();
+}
+
+/**
+ * HTML check-in email for one owner
+ */
+function buildOwnerReportHtml(report, config, docUrl = null) {
+  const esc = escapeDigestText;
+  const html = [];
+  html.push('<div style="font-family:Arial,Helvetica,sans-serif;font-size:14px;color:#202124;max-width:800px">');
+  html.push(`<p>Hi ${esc(report.ownerName)},</p>`);
+  html.push(report.checkInCount > 0
+    ? `<p>${report.checkInCount} of your OKR items have not been updated in the last ${config.lookbackDays} days. Please check in on them.</p>`
+    : `<p>All of your OKR items were updated in the last ${config.lookbackDays} days. Thanks!</p>`);
+  
+  const checkInItems = [
+    ...report.objectives.filter(o => o.needsCheckIn).map(o => `<b>Objective:</b> ${esc(o.name)} (${formatDaysSinceUpdate(o.daysSinceUpdate)})`),
+    ...report.keyResults.filter(kr => kr.needsCheckIn).map(kr => `<b>KR:</b> ${esc(kr.name)} (${formatDaysSinceUpdate(kr.daysSinceUpdate)})`)
+  ];
+  if (checkInItems.length > 0) {
+    html.push(`<h2 style="font-size:18px;color:${STATUS_COLORS.risk}">Needs check-in</h2><ul>`);
+    checkInItems.forEach(item => html.push(`<li>${item}</li>`));
+    html.push('</ul>');
+  }
+  if (report.objectives.length > 0) {
+    html.push('<h2 style="font-size:18px">Your Objectives</h2><ul>');
+    report.objectives.forEach(o => html.push(`<li>${esc(o.name)} <span style="color:#666666">(Progress: ${o.progress}% | ${formatDaysSinceUpdate(o.daysSinceUpdate)})</span></li>`));
+    html.push('</ul>');
+  }
+  if (report.keyResults.length > 0) {
+    html.push('<h2 style="font-size:18px">Your Key Results</h2><ul>');
+    report.keyResults.forEach(kr => {
+      const color = STATUS_COLORS[classifyStatus(kr.status)];
+      const status = color ? `<span style="color:${color};font-weight:bold">${esc(kr.status)}</span>` : esc(kr.status);
+      html.push(`<li>${esc(kr.name)} <span style="color:#666666">(Progress: ${kr.progress}% | ${status} | ${formatDaysSinceUpdate(kr.daysSinceUpdate)})${kr.objectiveName ? ` – ${esc(kr.objectiveName)}` : ''}</span></li>`);
+    });
+    html.push('</ul>');
+  }
+  if (docUrl) {
+    html.push(`<p><a href="${esc(docUrl)}" style="color:#0d7377">Open the report</a></p>`);
+  }
+  html.push('</div>');
+  return html.join('\n');
+}
+
+/**
+ * Email each owner their personal section (OWNER_EMAIL_MODE: all owners, or only those with items to check in)
+ * Owners without a known email address are skipped
+ */
+function sendOwnerReportEmails(ownerReports, config, docUrl = null) {
+  const recipients = ownerReports.filter(report => config.ownerEmailMode === 'all' || report.checkInCount > 0);
+  let sent = 0;
+  const skipped = [];
+  
+  for (const report of recipients) {
+    if (!report.ownerEmail) {
+      skipped.push(report.ownerName);
+      continue;
+    }
+    if (MailApp.getRemainingDailyQuota() < 1) {
+      Logger.log(`⚠️ Daily email quota reached; ${recipients.length - sent - skipped.length} owner email(s) not sent`);
+      break;
+    }
+    MailApp.sendEmail({
+      to: report.ownerEmail,
+      subject: report.checkInCount > 0
+        ? `OKR check-in: ${report.checkInCount} item(s) need an update`
+        : 'OKR check-in: you are up to date',
+      htmlBody: buildOwnerReportHtml(report, config, docUrl)
+    });
+    sent++;
+  }
+  
+  Logger.log(`📧 Owner check-in emails sent: ${sent}`);
+  if (skipped.length > 0) {
+    Logger.log(`⚠️ No email address known for: ${skipped.join(', ')}`);
+  }
+}
+
+/**
+ * Build the tab layout for the Google Sheets export
+ * Returns { tabName: { headers, rows, formats } } where formats maps a column index to a number format
+ * (applied before the values are written, so text columns are never converted)
+ */
+function buildSheetsReportTabs(data, stats, config) {
+  const hierarchyField = detectHierarchyField(data.objectives);
+  const objectivesById = new Map(data.objectives.map(obj => [obj.id, obj]));
+  
   // PERFORMANCE OPTIMIZATION: Create Map for O(1) key result lookups
   const keyResultsByGoal = new Map();
   data.keyResults.forEach(kr => {
@@ -171,55 +1401,340 @@ function buildPlainTextSnapshot(data, stats, config) {
     keyResultsByGoal.get(kr.goalId).push(kr);
   });
   
+  const toFraction = (percent) => Math.round(percent) / 100;
+  const toDate = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date;
+  };
+  
+  // Objectives tab - one row per objective in hierarchy order
   const objectivesToProcess = data.hierarchicalObjectives || data.objectives.map((obj, i) => ({ ...obj, level: 0, hierarchicalIndex: i + 1 }));
-  objectivesToProcess.forEach((objective) => {
-    const indent = '  '.repeat(objective.level || 0);
+  const objectiveRows = objectivesToProcess.map(objective => {
     const objKeyResults = keyResultsByGoal.get(objective.id) || [];
-    const objProgress = objKeyResults.length > 0
-      ? Math.round(objKeyResults.reduce((sum, kr) => sum + (kr.progress || 0), 0) / objKeyResults.length)
-      : objective.progress || 0;
-    lines.push(`${indent}- ${objective.name} (Progress: ${objProgress}% | Owner: ${objective.ownerName || 'Unassigned'}${data.sessionCount > 1 ? ` | Session: ${objective.sessionName}` : ''})`);
-    if (objective.description && objective.description.trim()) {
-      lines.push(`${indent}  - Description: ${objective.description}`);
+    const objProgress = calculateObjectiveProgress(objective, objKeyResults);
+    const parentId = hierarchyField ? objective[hierarchyField] || '' : '';
+    const parent = parentId ? objectivesById.get(parentId) : null;
+    return [
+      objective.id,
+      String(objective.hierarchicalIndex || ''),
+      objective.name || '',
+      objective.level || 0,
+      parentId,
+      parent ? parent.name : '',
+      objective.sessionName || '',
+      objective.ownerName || 'Unassigned',
+      toFraction(objProgress),
+      objective.status || '',
+      objKeyResults.length,
+      objective.description || ''
+    ];
+  });
+  
+  // Key Results and Tasks tabs - flat lists linked back to their parents by ID
+  const keyResultRows = [];
+  const taskRows = [];
+  data.keyResults.forEach(kr => {
+    const objective = objectivesById.get(kr.goalId);
+    const krProgress = getKeyResultProgress(kr);
+    keyResultRows.push([
+      kr.id,
+      kr.goalId || '',
+      kr.objectiveName || (objective ? objective.name : ''),
+      kr.name || '',
+      objective ? objective.sessionName || '' : '',
+      kr.ownerName || kr.objectiveOwner || 'Unassigned',
+      toFraction(krProgress),
+      kr.status || 'Unknown',
+      toDate(kr.lastModified),
+      kr.description || ''
+    ]);
+    
+    (kr.tasks || []).forEach(task => {
+      taskRows.push([
+        task.id || '',
+        kr.id,
+        kr.name || '',
+        kr.objectiveName || (objective ? objective.name : ''),
+        task.name || task.title || '',
+        task.ownerName || 'Unassigned',
+        task.status || task.state || 'Unknown'
+      ]);
+    });
+  });
+  
+  // Summary tab - executive summary followed by the status breakdown
+  const summaryRows = [
+    ['Generated', new Date(), ''],
+    ['Sessions', data.sessionNames || (data.sessions[0] && data.sessions[0].name) || '', ''],
+    ['Overall Progress', toFraction(stats.overallProgress), ''],
+    ['Total Objectives', stats.totalObjectives, ''],
+    ['Total Key Results', stats.totalKeyResults, ''],
+    ['Recent Updates', stats.recentUpdates, `last ${config.lookbackDays} days`]
+  ];
+  if (stats.hierarchyStats) {
+    summaryRows.push(['Hierarchy Levels', stats.hierarchyStats.totalLevels, '']);
+    summaryRows.push(['Root Objectives', stats.hierarchyStats.rootObjectives, '']);
+    summaryRows.push(['Leaf Objectives', stats.hierarchyStats.leafObjectives, '']);
+  }
+  Object.entries(stats.statusCounts || {}).forEach(([status, count]) => {
+    const pct = stats.totalKeyResults > 0 ? Math.round((count / stats.totalKeyResults) * 100) : 0;
+    summaryRows.push([`Status: ${status}`, count, `${pct}%`]);
+  });
+  
+  // Names, descriptions and other API text are written as text, never as formulas
+  const asText = (rows) => rows.map(row => row.map(neutralizeFormulaText));
+  
+  return {
+    'Summary': {
+      headers: ['Metric', 'Value', 'Notes'],
+      rows: asText(summaryRows),
+      formats: {},
+      // Summary values are mixed, so only the typed cells get a format (row/column are 1-based incl. header)
+      cellFormats: [[2, 2, 'yyyy-mm-dd hh:mm'], [4, 2, '0%']]
+    },
+    'Objectives': {
+      headers: ['ID', 'Index', 'Name', 'Level', 'Parent ID', 'Parent', 'Session', 'Owner', 'Progress', 'Status', 'Key Results', 'Description'],
+      rows: asText(objectiveRows),
+      // Index is plain text so "1.10" is not turned into the number 1.1
+      formats: { 1: '@', 3: '0', 8: '0%', 10: '0' }
+    },
+    'Key Results': {
+      headers: ['ID', 'Objective ID', 'Objective', 'Name', 'Session', 'Owner', 'Progress', 'Status', 'Last Modified', 'Description'],
+      rows: asText(keyResultRows),
+      formats: { 6: '0%', 8: 'yyyy-mm-dd hh:mm' }
+    },
+    'Tasks': {
+      headers: ['ID', 'Key Result ID', 'Key Result', 'Objective', 'Name', 'Owner', 'Status'],
+      rows: asText(taskRows),
+      formats: {}
     }
-    if (objKeyResults.length > 0) {
-      objKeyResults.forEach((kr) => {
-        const krProgress = kr.progress || kr.attainment * 100 || 0;
-        const krOwner = kr.ownerName || kr.objectiveOwner || 'Unassigned';
-        lines.push(`${indent}  - KR: ${kr.name} (Progress: ${Math.round(krProgress)}% | Owner: ${krOwner})`);
-        if (kr.description && kr.description.trim()) {
-          lines.push(`${indent}    - Note: ${kr.description}`);
-        }
-        if (kr.tasks && kr.tasks.length > 0) {
-          kr.tasks.forEach(task => {
-            const taskOwner = task.ownerName || 'Unassigned';
-            const taskStatus = task.status || task.state || 'Unknown';
-            lines.push(`${indent}    - Task: ${task.name || task.title} (Owner: ${taskOwner} | Status: ${taskStatus})`);
-          });
-        }
+  };
+}
+
+/**
+ * Write the report to a Google Sheet, one tab per entity
+ * Existing tabs with the same names are cleared and rewritten on every run
+ */
+function writeSheetsReport(sheetId, data, stats, config) {
+  Logger.log(`📊 Attempting to open Google Sheet with ID: ${sheetId}`);
+  
+  let spreadsheet;
+  try {
+    spreadsheet = SpreadsheetApp.openById(sheetId);
+  } catch (sheetError) {
+    Logger.log(`❌ Failed to open spreadsheet with ID: ${sheetId}`);
+    throw new Error(`Cannot access spreadsheet ${sheetId}. ${sheetError.message}`);
+  }
+  
+  const tabs = buildSheetsReportTabs(data, stats, config);
+  
+  Object.entries(tabs).forEach(([tabName, tab]) => {
+    const sheet = spreadsheet.getSheetByName(tabName) || spreadsheet.insertSheet(tabName);
+    sheet.clear();
+    
+    // Apply typed formats to data rows first: Sheets converts values as they are written, so a
+    // text column has to be formatted as text beforehand
+    if (tab.rows.length > 0) {
+      Object.entries(tab.formats).forEach(([columnIndex, format]) => {
+        sheet.getRange(2, Number(columnIndex) + 1, tab.rows.length, 1).setNumberFormat(format);
       });
-    } else {
-      lines.push(`${indent}  - Key Results: None`);
     }
+    
+    (tab.cellFormats || []).forEach(([row, column, format]) => {
+      sheet.getRange(row, column).setNumberFormat(format);
+    });
+    
+    const values = [tab.headers, ...tab.rows];
+    sheet.getRange(1, 1, values.length, tab.headers.length).setValues(values);
+    sheet.getRange(1, 1, 1, tab.headers.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    
+    Logger.log(`   ${tabName}: ${tab.rows.length} rows`);
+  });
+  
+  Logger.log(`📊 Report written to Google Sheet:`);
+  Logger.log(`   Spreadsheet ID: ${spreadsheet.getId()}`);
+  Logger.log(`   Spreadsheet URL: ${spreadsheet.getUrl()}`);
+}
+
+/**
+ * Build a compact progress snapshot for the run archive
+ * Stores only what is needed to compute deltas on the next run
+ */
+function buildProgressSnapshot(data, stats) {
+  const keyResultsByGoal = new Map();
+  data.keyResults.forEach(kr => {
+    if (!keyResultsByGoal.has(kr.goalId)) {
+      keyResultsByGoal.set(kr.goalId, []);
+    }
+    keyResultsByGoal.get(kr.goalId).push(kr);
+  });
+  
+  const objectives = {};
+  data.objectives.forEach(objective => {
+    objectives[objective.id] = {
+      name: objective.name,
+      progress: calculateObjectiveProgress(objective, keyResultsByGoal.get(objective.id) || []),
+      status: objective.status || null,
+      owner: objective.ownerName || null
+    };
+  });
+  
+  const keyResults = {};
+  data.keyResults.forEach(kr => {
+    keyResults[kr.id] = {
+      goalId: kr.goalId,
+      name: kr.name,
+      progress: Math.round(getKeyResultProgress(kr)),
+      status: kr.status || null,
+      owner: kr.ownerName || kr.objectiveOwner || null
+    };
+  });
+  
+  return {
+    version: PROGRESS_SNAPSHOT_VERSION,
+    generatedAt: new Date().toISOString(),
+    sessionNames: data.sessionNames || data.sessions.map(s => s.name).join(', '),
+    overallProgress: stats.overallProgress,
+    objectives,
+    keyResults
+  };
+}
+
+/**
+ * Load the most recent progress snapshot from the archive folder
+ * Returns null when there is no usable snapshot so a missing archive never blocks the report
+ */
+function loadPreviousProgressSnapshot(folderId) {
+  try {
+    const folder = DriveApp.getFolderById(folderId);
+    const files = folder.getFiles();
+    let latestFile = null;
+    
+    // Snapshot names embed an ISO timestamp, so the lexically largest name is the newest
+    while (files.hasNext()) {
+      const file = files.next();
+      const name = file.getName();
+      if (PROGRESS_SNAPSHOT_NAME_PATTERN.test(name) && (!latestFile || name > latestFile.getName())) {
+        latestFile = file;
+      }
+    }
+    
+    if (!latestFile) {
+      Logger.log(`📦 No previous progress snapshot found in folder ${folderId}`);
+      return null;
+    }
+    
+    const snapshot = JSON.parse(latestFile.getBlob().getDataAsString());
+    if (!snapshot || snapshot.version !== PROGRESS_SNAPSHOT_VERSION) {
+      Logger.log(`⚠️ Ignoring progress snapshot ${latestFile.getName()} with unsupported version ${snapshot && snapshot.version}`);
+      return null;
+    }
+    
+    Logger.log(`📦 Loaded previous progress snapshot: ${latestFile.getName()}`);
+    return snapshot;
+  } catch (error) {
+    Logger.log(`⚠️ Could not load previous progress snapshot: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save a progress snapshot as a new JSON file in the archive folder
+ */
+function saveProgressSnapshot(folderId, snapshot) {
+  try {
+    const folder = DriveApp.getFolderById(folderId);
+    const fileName = `quantive-snapshot-${snapshot.generatedAt.replace(/[:.]/g, '-')}.json`;
+    folder.createFile(fileName, JSON.stringify(snapshot), 'application/json');
+    Logger.log(`📦 Progress snapshot archived as ${fileName}`);
+  } catch (e) {
+    Logger.log(`Failed to archive progress snapshot: ${e.message}`);
+    throw e;
+  }
+}
+
+/**
+ * Compare current progress against a previous snapshot
+ * Deltas are in percentage points; objectives missing from the previous run have no delta
+ */
+function calculateProgressDeltas(data, overallProgress, previousSnapshot) {
+  const keyResultsByGoal = new Map();
+  data.keyResults.forEach(kr => {
+    if (!keyResultsByGoal.has(kr.goalId)) {
+      keyResultsByGoal.set(kr.goalId, []);
+    }
+    keyResultsByGoal.get(kr.goalId).push(kr);
   });
-  lines.push('');
-  return lines.join('\n');
+  
+  const previousObjectives = previousSnapshot.objectives || {};
+  const objectives = {};
+  data.objectives.forEach(objective => {
+    const previous = previousObjectives[objective.id];
+    if (previous && typeof previous.progress === 'number') {
+      const current = calculateObjectiveProgress(objective, keyResultsByGoal.get(objective.id) || []);
+      objectives[objective.id] = current - previous.progress;
+    }
+  });
+  
+  return {
+    previousGeneratedAt: previousSnapshot.generatedAt || null,
+    overall: typeof previousSnapshot.overallProgress === 'number' ? overallProgress - previousSnapshot.overallProgress : null,
+    objectives
+  };
 }
 
 /**
- * Overwrite a Drive text file with the snapshot content
+ * Format a progress delta for display, e.g. "+12% since last run"
  */
-function writePlainTextSnapshot(fileId, data, stats, config) {
+function formatProgressDelta(delta) {
+  if (delta === null || delta === undefined) return '';
+  if (delta === 0) return 'no change since last run';
+  return `${delta > 0 ? '+' : ''}${delta}% since last run`;
+}
+
+/**
+ * Read REPORT_PROFILES (JSON object of profile name → settings)
+ * Returns [] when no profiles are configured; with a profile name, only that profile
+ */
+function getReportProfiles(profileName = null) {
+  const raw = (PropertiesService.getScriptProperties().getProperty('REPORT_PROFILES') || '').trim();
+  if (!raw) {
+    if (profileName) {
+      throw new Error(`Report profile "${profileName}" was requested but REPORT_PROFILES is not set`);
+    }
+    return [];
+  }
+  
+  let parsed;
   try {
-    const content = buildPlainTextSnapshot(data, stats, config);
-    const file = DriveApp.getFileById(fileId);
-    file.setContent(content);
-    file.setName('quantive-snapshot.md');
-    Logger.log(`Plain text snapshot written to file ID: ${fileId}`);
+    parsed = JSON.parse(raw);
   } catch (e) {
-    Logger.log(`Failed to write plain text snapshot: ${e.message}`);
-    throw e;
+    throw new Error(`REPORT_PROFILES is not valid JSON: ${e.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || Object.keys(parsed).length === 0) {
+    throw new Error('REPORT_PROFILES must be a JSON object mapping profile names to settings, e.g. {"Sales": {"SESSIONS": ["Q3 2025"], "GOOGLE_DOC_ID": "..."}}');
+  }
+  
+  const profiles = Object.entries(parsed).map(([name, settings]) => {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`REPORT_PROFILES: profile "${name}" must be an object`);
+    }
+    const unknownKeys = Object.keys(settings).filter(key => !REPORT_PROFILE_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`REPORT_PROFILES: profile "${name}" has unsupported settings ${unknownKeys.join(', ')} (use ${REPORT_PROFILE_KEYS.join(', ')})`);
+    }
+    return { name, settings };
+  });
+  
+  if (!profileName) return profiles;
+  
+  const profile = profiles.find(p => p.name.toLowerCase() === profileName.toLowerCase());
+  if (!profile) {
+    throw new Error(`Report profile "${profileName}" not found. Available profiles: ${profiles.map(p => p.name).join(', ')}`);
   }
+  return [profile];
 }
 
 /**
@@ -228,22 +1743,68 @@ function writePlainTextSnapshot(fileId, data, stats, config) {
  *  - QUANTIVE_API_TOKEN
  *  - QUANTIVE_ACCOUNT_ID
  *  - SESSIONS (CSV or JSON array)
-  *  - At least one export target: GOOGLE_DOC_ID or TEXT_FILE_URL/TEXT_FILE_ID
+  *  - At least one export target: GOOGLE_DOC_ID, TEXT_FILE_URL/TEXT_FILE_ID, GOOGLE_SHEET_ID, JSON_FILE_ID, CSV_FOLDER_ID, WEBHOOK_URL, EMAIL_RECIPIENTS, OWNER_REPORT_DOC_ID or OWNER_EMAIL_MODE
  * Optional:
  *  - QUANTIVE_BASE_URL (default https://app.us.quantive.com/results/api/v1)
  *  - LOOKBACK_DAYS (default 7)
  *  - TEXT_FILE_URL or TEXT_FILE_ID (for plain-text export)
+ *  - GOOGLE_SHEET_ID (for spreadsheet export)
+ *  - JSON_FILE_ID (for the structured JSON export)
+ *  - CSV_FOLDER_ID (Drive folder for objectives.csv, key_results.csv and tasks.csv)
+ *  - SNAPSHOT_FOLDER_ID (Drive folder for the progress snapshot archive)
+ *  - MAX_RETRIES (default 3) and RETRY_BUDGET (default 100) for transient API failures
+ *  - SKIP_PROGRESS_HISTORY, SKIP_KR_PROGRESS_HISTORY, SKIP_SPARKLINES (true/false, defaults in PERFORMANCE_MODE)
+ *  - HISTORY_TIME_BUDGET_SECONDS (default 240) - stop fetching history this far into the run
+ *  - RESUMABLE_MODE (true/false, default false) - checkpoint long runs across trigger executions
+ *  - RESUME_TIME_BUDGET_SECONDS (default 270) - pause a resumable run this far into an execution
+ *  - USER_CACHE_TTL_HOURS (default 24, 0 disables) - reuse the persisted user directory this long
+ *  - INCLUDE_TASKS (true/false, default false) - fetch tasks for key results that have any
+ *  - HIDE_TASK_STATUSES (CSV, e.g. "done") - task statuses left out of the reports
+ *  - FILTER (e.g. owner in ["Ana","Raj"] and progress < 40) - limit exported objectives and key results
+ *  - WEBHOOK_URL (Slack or Google Chat incoming webhook) and WEBHOOK_FORMAT (slack/googlechat, detected from the URL)
+ *  - EMAIL_RECIPIENTS (CSV of addresses) - email an HTML digest after each run
+ *  - OWNER_REPORT_DOC_ID (Google Doc with one section per owner) and OWNER_EMAIL_MODE (all/stale) - personal check-in reports
+ *  - STALE_DAYS (default 14) - key results without an update for longer are listed as stale
+ *  - NEEDS_ATTENTION_AT_TOP (true/false, default false) - show stale key results at the top of the report
+ *  - ROLLUP_STRATEGY (attainment/average/weighted, default average) - how objective progress is calculated
+ *  - ROLLUP_CHILD_OBJECTIVES (true/false, default false) - count child objectives towards their parent's progress
+ *  - API_FIXTURE_MODE (record/replay) and API_FIXTURE_FILE_ID - save all API traffic to a Drive bundle, or run from one
+ *  - COMPARE_SESSIONS (true/false, default false) - compare the sessions as periods in the Google Doc
+ * A REPORT_PROFILES entry passed as profile overrides the keys in REPORT_PROFILE_KEYS; when it sets any
+ * export target, the Script Property export targets are not used for that profile.
  */
-function getConfig() {
+function getConfig(profile = null) {
   const props = PropertiesService.getScriptProperties();
-  const get = (key) => (props.getProperty(key) || '').trim();
+  const profileSettings = profile ? profile.settings : {};
+  const profileHasTargets = REPORT_PROFILE_EXPORT_KEYS.some(key => profileSettings[key] !== undefined);
+  const get = (key) => {
+    if (profileSettings[key] !== undefined && profileSettings[key] !== null) {
+      const value = profileSettings[key];
+      return (Array.isArray(value) ? JSON.stringify(value) : String(value)).trim();
+    }
+    if (profileHasTargets && REPORT_PROFILE_EXPORT_KEYS.includes(key)) return '';
+    return (props.getProperty(key) || '').trim();
+  };
 
   const errors = [];
 
-  const apiToken = get('QUANTIVE_API_TOKEN');
+  // API fixture recording/replay; a replay needs no credentials because nothing reaches the API
+  const apiFixtureMode = get('API_FIXTURE_MODE').toLowerCase() || null;
+  const apiFixtureFileId = get('API_FIXTURE_FILE_ID') || null;
+  if (apiFixtureMode && !['record', 'replay'].includes(apiFixtureMode)) {
+    errors.push('- API_FIXTURE_MODE must be record or replay');
+  }
+  if (apiFixtureMode === 'replay' && !apiFixtureFileId) {
+    errors.push('- API_FIXTURE_FILE_ID is required when API_FIXTURE_MODE is replay');
+  }
+  if (apiFixtureFileId && !/^[A-Za-z0-9_-]{10,}$/.test(apiFixtureFileId)) {
+    errors.push('- API_FIXTURE_FILE_ID does not look like a valid Drive file ID');
+  }
+
+  const apiToken = get('QUANTIVE_API_TOKEN') || (apiFixtureMode === 'replay' ? 'replay' : '');
   if (!apiToken) errors.push('- QUANTIVE_API_TOKEN is missing');
 
-  const accountId = get('QUANTIVE_ACCOUNT_ID');
+  const accountId = get('QUANTIVE_ACCOUNT_ID') || (apiFixtureMode === 'replay' ? 'replay' : '');
   if (!accountId) errors.push('- QUANTIVE_ACCOUNT_ID is missing');
 
   const sessionsRaw = get('SESSIONS');
@@ -264,6 +1825,9 @@ function getConfig() {
   }
 
   const googleDocId = get('GOOGLE_DOC_ID');
+  const googleSheetId = get('GOOGLE_SHEET_ID');
+  const jsonFileId = get('JSON_FILE_ID');
+  const csvFolderId = get('CSV_FOLDER_ID');
 
   // Optional values
   const baseUrlStr = get('QUANTIVE_BASE_URL');
@@ -285,6 +1849,68 @@ function getConfig() {
     }
   }
 
+  // Optional retry policy overrides
+  const parseNonNegativeInt = (key, defaultValue, max, min = 0) => {
+    const raw = get(key);
+    if (!raw) return defaultValue;
+    if (!/^\d+$/.test(raw) || parseInt(raw, 10) < min || parseInt(raw, 10) > max) {
+      errors.push(`- ${key} must be an integer between ${min} and ${max}`);
+      return defaultValue;
+    }
+    return parseInt(raw, 10);
+  };
+  const maxRetries = parseNonNegativeInt('MAX_RETRIES', RETRY_CONFIG.MAX_RETRIES, 10);
+  const retryBudget = parseNonNegativeInt('RETRY_BUDGET', RETRY_CONFIG.RETRY_BUDGET, 10000);
+
+  // Optional performance flags (progress history and sparklines)
+  const parseBoolean = (key, defaultValue) => {
+    const raw = get(key).toLowerCase();
+    if (!raw) return defaultValue;
+    if (['true', 'yes', '1'].includes(raw)) return true;
+    if (['false', 'no', '0'].includes(raw)) return false;
+    errors.push(`- ${key} must be true or false`);
+    return defaultValue;
+  };
+  const skipProgressHistory = parseBoolean('SKIP_PROGRESS_HISTORY', PERFORMANCE_MODE.SKIP_PROGRESS_HISTORY);
+  const skipKrProgressHistory = parseBoolean('SKIP_KR_PROGRESS_HISTORY', PERFORMANCE_MODE.SKIP_KR_PROGRESS_HISTORY);
+  const skipSparklines = parseBoolean('SKIP_SPARKLINES', PERFORMANCE_MODE.SKIP_SPARKLINES);
+  const resumableMode = parseBoolean('RESUMABLE_MODE', false);
+  const resumeTimeBudgetSeconds = parseNonNegativeInt('RESUME_TIME_BUDGET_SECONDS', 270, 340);
+  const historyTimeBudgetSeconds = parseNonNegativeInt('HISTORY_TIME_BUDGET_SECONDS', INTERNAL_CONFIG.HISTORY_TIME_BUDGET_SECONDS, 340);
+  const userCacheTtlHours = parseNonNegativeInt('USER_CACHE_TTL_HOURS', USER_DIRECTORY_CONFIG.DEFAULT_TTL_HOURS, 24 * 30);
+
+  // Optional task fetching; statuses are compared case-insensitively
+  const includeTasks = parseBoolean('INCLUDE_TASKS', false);
+  const hiddenTaskStatuses = get('HIDE_TASK_STATUSES').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+  // Stale key result detection
+  const staleDays = parseNonNegativeInt('STALE_DAYS', INTERNAL_CONFIG.STALE_DAYS, 365, 1);
+  const needsAttentionAtTop = parseBoolean('NEEDS_ATTENTION_AT_TOP', false);
+
+  // Objective progress rollup
+  const rollupStrategy = (get('ROLLUP_STRATEGY') || 'average').toLowerCase();
+  if (!ROLLUP_STRATEGIES.includes(rollupStrategy)) {
+    errors.push(`- ROLLUP_STRATEGY must be one of: ${ROLLUP_STRATEGIES.join(', ')}`);
+  }
+  const rollupChildObjectives = parseBoolean('ROLLUP_CHILD_OBJECTIVES', false);
+
+  // Session-over-session comparison (each session is one period)
+  const compareSessions = parseBoolean('COMPARE_SESSIONS', false);
+  if (compareSessions && sessionsRaw && sessions.length < 2) {
+    errors.push('- COMPARE_SESSIONS needs at least two SESSIONS to compare');
+  }
+
+  // Optional objective/key result filter expression
+  let filter = null;
+  const filterRaw = get('FILTER');
+  if (filterRaw) {
+    try {
+      filter = parseReportFilter(filterRaw);
+    } catch (e) {
+      errors.push(`- FILTER could not be parsed: ${e.message}`);
+    }
+  }
+
   // Optional plain-text export support
   let textFileId = null;
   const textFileUrl = get('TEXT_FILE_URL');
@@ -304,9 +1930,63 @@ function getConfig() {
     errors.push('- GOOGLE_DOC_ID does not look like a valid Google Doc ID');
   }
 
+  if (googleSheetId && !/^[A-Za-z0-9_-]{10,}$/.test(googleSheetId)) {
+    errors.push('- GOOGLE_SHEET_ID does not look like a valid Google Sheet ID');
+  }
+
+  if (jsonFileId && !/^[A-Za-z0-9_-]{10,}$/.test(jsonFileId)) {
+    errors.push('- JSON_FILE_ID does not look like a valid Drive file ID');
+  }
+
+  if (csvFolderId && !/^[A-Za-z0-9_-]{10,}$/.test(csvFolderId)) {
+    errors.push('- CSV_FOLDER_ID does not look like a valid Drive folder ID');
+  }
+
+  // Optional progress snapshot archive (enables "since last run" deltas)
+  const snapshotFolderId = get('SNAPSHOT_FOLDER_ID');
+  if (snapshotFolderId && !/^[A-Za-z0-9_-]{10,}$/.test(snapshotFolderId)) {
+    errors.push('- SNAPSHOT_FOLDER_ID does not look like a valid Drive folder ID');
+  }
+
+  // Optional chat digest webhook
+  const webhookUrl = get('WEBHOOK_URL');
+  if (webhookUrl && !/^https?:\/\//i.test(webhookUrl)) {
+    errors.push('- WEBHOOK_URL must start with http(s)://');
+  }
+  const webhookFormat = (get('WEBHOOK_FORMAT') || (/chat\.googleapis\.com/i.test(webhookUrl) ? 'googlechat' : 'slack')).toLowerCase();
+  if (!['slack', 'googlechat'].includes(webhookFormat)) {
+    errors.push('- WEBHOOK_FORMAT must be slack or googlechat');
+  }
+
+  // Optional HTML email digest
+  const emailRecipients = get('EMAIL_RECIPIENTS').split(',').map(s => s.trim()).filter(Boolean);
+  const invalidRecipients = emailRecipients.filter(address => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address));
+  if (invalidRecipients.length > 0) {
+    errors.push(`- EMAIL_RECIPIENTS contains invalid addresses: ${invalidRecipients.join(', ')}`);
+  }
+
+  // Optional per-owner check-in reports
+  const ownerReportDocId = get('OWNER_REPORT_DOC_ID');
+  if (ownerReportDocId && !/^[A-Za-z0-9_-]{10,}$/.test(ownerReportDocId)) {
+    errors.push('- OWNER_REPORT_DOC_ID does not look like a valid Google Doc ID');
+  }
+  const ownerEmailMode = get('OWNER_EMAIL_MODE').toLowerCase();
+  if (ownerEmailMode && !['all', 'stale'].includes(ownerEmailMode)) {
+    errors.push('- OWNER_EMAIL_MODE must be all or stale');
+  }
+
   // Ensure at least one export target is configured
-  if (!googleDocId && !textFileId) {
-    errors.push('- Provide at least one export target: GOOGLE_DOC_ID or TEXT_FILE_URL/TEXT_FILE_ID');
+  if (!googleDocId && !textFileId && !googleSheetId && !jsonFileId && !csvFolderId && !webhookUrl && emailRecipients.length === 0 && !ownerReportDocId && !ownerEmailMode) {
+    errors.push('- Provide at least one export target: GOOGLE_DOC_ID, TEXT_FILE_URL/TEXT_FILE_ID, GOOGLE_SHEET_ID, JSON_FILE_ID, CSV_FOLDER_ID, WEBHOOK_URL, EMAIL_RECIPIENTS, OWNER_REPORT_DOC_ID or OWNER_EMAIL_MODE');
+  }
+
+  // A single checkpoint file cannot track several profiles
+  if (profile && resumableMode) {
+    errors.push('- RESUMABLE_MODE cannot be combined with REPORT_PROFILES');
+  }
+  // A resumed run spans several executions, so one bundle would only hold part of it
+  if (apiFixtureMode && resumableMode) {
+    errors.push('- API_FIXTURE_MODE cannot be combined with RESUMABLE_MODE');
   }
 
   if (errors.length > 0) {
@@ -315,26 +1995,235 @@ function getConfig() {
       '  - Open Extensions → Apps Script',
       '  - In the editor, go to Project Settings → Script properties → Add property',
       '  - Required: QUANTIVE_API_TOKEN, QUANTIVE_ACCOUNT_ID, SESSIONS',
-      '  - Also required: at least one export target (GOOGLE_DOC_ID or TEXT_FILE_URL/TEXT_FILE_ID)',
-      '  - Optional: QUANTIVE_BASE_URL, LOOKBACK_DAYS',
+      '  - Also required: at least one export target (GOOGLE_DOC_ID, TEXT_FILE_URL/TEXT_FILE_ID, GOOGLE_SHEET_ID, JSON_FILE_ID, CSV_FOLDER_ID, WEBHOOK_URL, EMAIL_RECIPIENTS, OWNER_REPORT_DOC_ID or OWNER_EMAIL_MODE)',
+      '  - Optional: QUANTIVE_BASE_URL, LOOKBACK_DAYS, SNAPSHOT_FOLDER_ID, MAX_RETRIES, RETRY_BUDGET,',
+      '    SKIP_PROGRESS_HISTORY, SKIP_KR_PROGRESS_HISTORY, SKIP_SPARKLINES, HISTORY_TIME_BUDGET_SECONDS,',
+      '    RESUMABLE_MODE, RESUME_TIME_BUDGET_SECONDS, USER_CACHE_TTL_HOURS, INCLUDE_TASKS, HIDE_TASK_STATUSES,',
+      '    FILTER (e.g. owner in ["Ana","Raj"] and progress < 40), REPORT_PROFILES, WEBHOOK_URL, WEBHOOK_FORMAT,',
+      '    OWNER_REPORT_DOC_ID, OWNER_EMAIL_MODE, STALE_DAYS, NEEDS_ATTENTION_AT_TOP,',
+      '    ROLLUP_STRATEGY, ROLLUP_CHILD_OBJECTIVES, API_FIXTURE_MODE, API_FIXTURE_FILE_ID, COMPARE_SESSIONS',
       'Example values:',
       '  SESSIONS: Q3 2025, RHELBU Annual 2025  (CSV)  OR  ["Q3 2025","RHELBU Annual 2025"] (JSON)'
     ].join('\n');
-    throw new Error(`${errors.join('\n')}
+    const prefix = profile ? `Report profile "${profile.name}":\n` : '';
+    throw new Error(`${prefix}${errors.join('\n')}
 ${help}`);
   }
 
   return {
+    profileName: profile ? profile.name : null,
     apiToken,
     accountId,
     sessions,
     googleDocId: googleDocId || null,
     baseUrl,
     lookbackDays,
-    textFileId: textFileId || null
+    maxRetries,
+    retryBudget,
+    skipProgressHistory,
+    skipKrProgressHistory,
+    skipSparklines,
+    historyTimeBudgetSeconds,
+    resumableMode,
+    resumeTimeBudgetSeconds,
+    // Fixture runs bypass the persistent user cache so bundles contain every user lookup
+    userCacheTtlHours: apiFixtureMode ? 0 : userCacheTtlHours,
+    includeTasks,
+    hiddenTaskStatuses,
+    staleDays,
+    needsAttentionAtTop,
+    rollupStrategy,
+    rollupChildObjectives,
+    compareSessions,
+    apiFixtureMode,
+    apiFixtureFileId,
+    filter,
+    filterExpression: filterRaw || null,
+    textFileId: textFileId || null,
+    googleSheetId: googleSheetId || null,
+    jsonFileId: jsonFileId || null,
+    csvFolderId: csvFolderId || null,
+    webhookUrl: webhookUrl || null,
+    webhookFormat,
+    emailRecipients,
+    ownerReportDocId: ownerReportDocId || null,
+    ownerEmailMode: ownerEmailMode || null,
+    snapshotFolderId: snapshotFolderId || null
+  };
+}
+
+/**
+ * Start recording or replaying API traffic for this execution (once; later profiles share it)
+ */
+function startApiFixtureMode(config) {
+  if (!config.apiFixtureMode || API_FIXTURE.mode) return;
+  
+  API_FIXTURE.mode = config.apiFixtureMode;
+  API_FIXTURE.fileId = config.apiFixtureFileId;
+  API_FIXTURE.baseUrl = config.baseUrl;
+  API_FIXTURE.apiToken = config.apiToken;
+  API_FIXTURE.sessions = config.sessions;
+  API_FIXTURE.entries = [];
+  API_FIXTURE.replayCursor = {};
+  
+  if (API_FIXTURE.mode === 'replay') {
+    const bundle = JSON.parse(DriveApp.getFileById(config.apiFixtureFileId).getBlob().getDataAsString());
+    if (bundle.version !== API_FIXTURE_CONFIG.VERSION || !Array.isArray(bundle.entries)) {
+      throw new Error(`API fixture ${config.apiFixtureFileId} is not a version ${API_FIXTURE_CONFIG.VERSION} bundle`);
+    }
+    API_FIXTURE.entries = bundle.entries;
+    API_FIXTURE.recordedAt = bundle.recordedAt;
+    Logger.log(`📼 Replaying ${bundle.entries.length} API responses recorded ${bundle.recordedAt} (sessions: ${(bundle.sessions || []).join(', ')})`);
+  } else {
+    API_FIXTURE.recordedAt = new Date().toISOString();
+    Logger.log('📼 Recording API responses for this run');
+  }
+}
+
+/**
+ * Write the recorded bundle to API_FIXTURE_FILE_ID, or to a new Drive file
+ */
+function saveApiFixtureRecording() {
+  if (API_FIXTURE.mode !== 'record') return;
+  
+  const bundle = {
+    version: API_FIXTURE_CONFIG.VERSION,
+    recordedAt: API_FIXTURE.recordedAt,
+    baseUrl: API_FIXTURE.baseUrl,
+    sessions: API_FIXTURE.sessions,
+    entries: API_FIXTURE.entries
+  };
+  const content = JSON.stringify(bundle, null, 2);
+  let fileId = API_FIXTURE.fileId;
+  if (fileId) {
+    DriveApp.getFileById(fileId).setContent(content);
+  } else {
+    fileId = DriveApp.createFile(API_FIXTURE_CONFIG.FILE_NAME, content).getId();
+  }
+  Logger.log(`📼 Saved ${bundle.entries.length} recorded API responses to Drive file ${fileId}`);
+  API_FIXTURE.mode = null;
+}
+
+/**
+ * Request key used to match replayed responses: method plus URL relative to the base URL,
+ * without the date window parameters
+ */
+function getApiFixtureKey(url, method) {
+  let relativeUrl = API_FIXTURE.baseUrl && url.indexOf(API_FIXTURE.baseUrl) === 0 ? url.substring(API_FIXTURE.baseUrl.length) : url;
+  const [pathPart, query] = relativeUrl.split('?');
+  const params = (query || '').split('&')
+    .filter(param => param && !API_FIXTURE_CONFIG.IGNORED_QUERY_PARAMS.includes(param.split('=')[0]));
+  relativeUrl = params.length > 0 ? `${pathPart}?${params.join('&')}` : pathPart;
+  return `${(method || 'GET').toUpperCase()} ${relativeUrl}`;
+}
+
+/**
+ * Copy of a header map with credentials replaced
+ */
+function redactFixtureHeaders(headers) {
+  const redacted = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    redacted[name] = /authorization|token|api-key|cookie/i.test(name) ? '[REDACTED]' : value;
+  });
+  return redacted;
+}
+
+/**
+ * Replace the API token wherever it appears in recorded text
+ */
+function redactFixtureText(text) {
+  return API_FIXTURE.apiToken ? String(text).split(API_FIXTURE.apiToken).join('[REDACTED]') : String(text);
+}
+
+/**
+ * Response object with the UrlFetchApp HTTPResponse methods Code.gs uses
+ */
+function createFixtureResponse(status, headers, body) {
+  return {
+    getResponseCode: () => status,
+    getContentText: () => body,
+    getHeaders: () => headers,
+    getAllHeaders: () => headers
   };
 }
 
+/**
+ * UrlFetchApp raises for HTTP errors unless muteHttpExceptions is set; replayed and recorded
+ * responses are fetched muted, so raise the same way for callers that did not mute
+ */
+function throwIfUnmutedFixtureError(url, options, response) {
+  if (!options.muteHttpExceptions && response.getResponseCode() >= 400) {
+    throw new Error(`Request failed for ${url} returned code ${response.getResponseCode()}. Truncated server response: ${response.getContentText().substring(0, 200)}`);
+  }
+}
+
+/**
+ * Record one exchange (token redacted) and return the response
+ */
+function recordApiExchange(url, options, response) {
+  API_FIXTURE.entries.push({
+    key: getApiFixtureKey(url, options.method),
+    url: redactFixtureText(url),
+    requestHeaders: redactFixtureHeaders(options.headers),
+    status: response.getResponseCode(),
+    headers: redactFixtureHeaders(response.getHeaders ? response.getHeaders() : {}),
+    body: redactFixtureText(response.getContentText())
+  });
+  return response;
+}
+
+/**
+ * Next recorded response for a request; repeated requests (retries, later profiles) get the
+ * recorded responses in order and then keep the last one. Unknown requests get a 404.
+ */
+function replayApiExchange(url, options) {
+  const key = getApiFixtureKey(url, options.method);
+  const matches = API_FIXTURE.entries.filter(entry => entry.key === key);
+  if (matches.length === 0) {
+    Logger.log(`📼 No recorded response for ${key}`);
+    return createFixtureResponse(404, {}, JSON.stringify({ error: `No recorded response for ${key}` }));
+  }
+  const cursor = API_FIXTURE.replayCursor[key] || 0;
+  API_FIXTURE.replayCursor[key] = cursor + 1;
+  const entry = matches[Math.min(cursor, matches.length - 1)];
+  return createFixtureResponse(entry.status, entry.headers || {}, entry.body);
+}
+
+/**
+ * UrlFetchApp.fetch for Quantive API requests, recording or replaying when API_FIXTURE_MODE is set
+ */
+function fetchApi(url, options = {}) {
+  if (API_FIXTURE.mode === 'replay') {
+    const response = replayApiExchange(url, options);
+    throwIfUnmutedFixtureError(url, options, response);
+    return response;
+  }
+  if (API_FIXTURE.mode === 'record') {
+    const response = recordApiExchange(url, options, UrlFetchApp.fetch(url, { ...options, muteHttpExceptions: true }));
+    throwIfUnmutedFixtureError(url, options, response);
+    return response;
+  }
+  return UrlFetchApp.fetch(url, options);
+}
+
+/**
+ * UrlFetchApp.fetchAll for Quantive API requests, recording or replaying when API_FIXTURE_MODE is set
+ */
+function fetchAllApi(requests) {
+  if (API_FIXTURE.mode === 'replay') {
+    const responses = requests.map(request => replayApiExchange(request.url, request));
+    responses.forEach((response, index) => throwIfUnmutedFixtureError(requests[index].url, requests[index], response));
+    return responses;
+  }
+  if (API_FIXTURE.mode === 'record') {
+    const responses = UrlFetchApp.fetchAll(requests.map(request => ({ ...request, muteHttpExceptions: true })))
+      .map((response, index) => recordApiExchange(requests[index].url, requests[index], response));
+    responses.forEach((response, index) => throwIfUnmutedFixtureError(requests[index].url, requests[index], response));
+    return responses;
+  }
+  return UrlFetchApp.fetchAll(requests);
+}
+
 /**
  * Derive Drive file ID from a sharing URL or return as-is if it's already an ID
  */
@@ -360,6 +2249,254 @@ function deriveDriveFileIdFromUrl(urlOrId) {
   return candidate || null;
 }
 
+/**
+ * Append query parameters to a URL that may already have a query string
+ */
+function appendQueryParams(url, params) {
+  const query = Object.entries(params)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+  if (!query) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+}
+
+/**
+ * Parse one page of a list endpoint into items and paging metadata
+ * Handles the response shapes the API uses (bare array, items, goals, objectives, sessions, users, data)
+ */
+function parseListPage(response, label) {
+  const responseText = response.getContentText();
+  
+  // Check if response is HTML (error page)
+  if (responseText.trim().startsWith('<!DOCTYPE') || responseText.trim().startsWith('<html')) {
+    Logger.log(`❌ Received HTML error page for ${label}. Response: ${responseText.substring(0, 500)}...`);
+    throw new Error(`API returned HTML error page when fetching ${label}. Check your API token permissions.`);
+  }
+  
+  const data = JSON.parse(responseText);
+  
+  let items;
+  if (Array.isArray(data)) {
+    items = data;
+  } else {
+    const listKey = ['items', 'goals', 'objectives', 'sessions', 'users', 'data'].find(key => Array.isArray(data[key]));
+    if (!listKey) {
+      throw new Error(`Unexpected ${label} API response format. Expected array, got: ${typeof data}`);
+    }
+    items = data[listKey];
+  }
+  
+  const totalCount = !Array.isArray(data)
+    ? [data.totalCount, data.total, data.count].find(value => typeof value === 'number')
+    : undefined;
+  
+  return {
+    items,
+    totalCount: totalCount === undefined ? null : totalCount,
+    continuationToken: (!Array.isArray(data) && (data.continuationToken || data.nextPageToken)) || null
+  };
+}
+
+/**
+ * Fetch every page of a list endpoint using skip/take paging
+ * When the API reports totalCount, the remaining pages are fetched in parallel through
+ * BatchProcessor.executeBatchRequests; otherwise pages are followed one at a time using the
+ * continuation token or until an empty page is returned. Stops after PAGINATION_CONFIG.MAX_PAGES.
+ */
+function fetchAllPages(url, config, label = 'items') {
+  const headers = BatchProcessor.buildHeaders(config);
+  const maxPages = PAGINATION_CONFIG.MAX_PAGES;
+  const pageSize = PAGINATION_CONFIG.PAGE_SIZE;
+  
+  const allItems = [];
+  const seenIds = new Set();
+  // Skip duplicates in case the endpoint ignores paging parameters and repeats the same page
+  const addItems = (items) => {
+    let added = 0;
+    items.forEach(item => {
+      if (item && item.id !== undefined) {
+        if (seenIds.has(item.id)) return;
+        seenIds.add(item.id);
+      }
+      allItems.push(item);
+      added++;
+    });
+    return added;
+  };
+  
+  const firstPage = parseListPage(BatchProcessor.fetchWithRetry(appendQueryParams(url, { skip: 0, take: pageSize }), { headers }, config), label);
+  addItems(firstPage.items);
+  let pagesFetched = 1;
+  
+  if (firstPage.totalCount !== null) {
+    // The API may cap take below what we asked for, so page by what it actually returned
+    const effectivePageSize = Math.min(pageSize, firstPage.items.length);
+    const totalPages = effectivePageSize > 0 ? Math.ceil(firstPage.totalCount / effectivePageSize) : 1;
+    const pagesToFetch = Math.min(totalPages, maxPages);
+    
+    if (pagesToFetch > 1) {
+      const requests = [];
+      for (let page = 1; page < pagesToFetch; page++) {
+        requests.push({
+          url: appendQueryParams(url, { skip: page * effectivePageSize, take: effectivePageSize }),
+          options: {
+            headers: headers,
+            muteHttpExceptions: true
+          }
+        });
+      }
+      
+      const responses = BatchProcessor.executeBatchRequests(requests, config);
+      responses.forEach((response, index) => {
+        // A missing page would silently drop data, so fail loudly instead
+        if (!response || response.getResponseCode() !== 200) {
+          throw new Error(`Failed to fetch page ${index + 2} of ${label}: ${response ? response.getResponseCode() : 'no response'}`);
+        }
+        addItems(parseListPage(response, label).items);
+      });
+      pagesFetched = pagesToFetch;
+    }
+    
+    if (totalPages > maxPages) {
+      Logger.log(`⚠️ ${label} has ${totalPages} pages; stopped after ${maxPages} (${allItems.length}/${firstPage.totalCount} items)`);
+    }
+  } else {
+    // Without totalCount a short page does not mean the end (the API may cap take below what we
+    // asked for), so follow the pages until one comes back empty
+    let page = firstPage;
+    let offset = firstPage.items.length;
+    while (page.continuationToken || page.items.length > 0) {
+      if (pagesFetched >= maxPages) {
+        Logger.log(`⚠️ ${label} may have more than ${maxPages} pages; stopped after ${allItems.length} items`);
+        break;
+      }
+      
+      const params = page.continuationToken
+        ? { continuationToken: page.continuationToken, take: pageSize }
+        : { skip: offset, take: pageSize };
+      page = parseListPage(BatchProcessor.fetchWithRetry(appendQueryParams(url, params), { headers }, config), label);
+      offset += page.items.length;
+      pagesFetched++;
+      
+      if (addItems(page.items) === 0) break;
+    }
+  }
+  
+  if (pagesFetched > 1) {
+    Logger.log(`📄 Fetched ${allItems.length} ${label} across ${pagesFetched} pages`);
+  }
+  return allItems;
+}
+
+/**
+ * Build a user directory record from a /users API object
+ */
+function buildUserRecord(user) {
+  const displayName = user.displayName || user.name || user.email ||
+                    (user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : null) ||
+                    `User ${user.id}`;
+  const teams = (Array.isArray(user.teams) ? user.teams : [])
+    .map(team => (typeof team === 'string' ? team : team && (team.name || team.title)))
+    .filter(Boolean);
+  
+  return {
+    displayName,
+    email: user.email || null,
+    teams,
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Load the persistent user directory once per execution
+ * Stored as a Drive JSON file whose ID is kept in Script Properties; disabled when USER_CACHE_TTL_HOURS is 0
+ */
+function loadUserDirectory(config) {
+  if (USER_DIRECTORY.loaded) return USER_DIRECTORY;
+  USER_DIRECTORY.loaded = true;
+  if (!config.userCacheTtlHours) return USER_DIRECTORY;
+  
+  const fileId = PropertiesService.getScriptProperties().getProperty(USER_DIRECTORY_CONFIG.FILE_ID_PROPERTY);
+  if (!fileId) return USER_DIRECTORY;
+  
+  try {
+    const stored = JSON.parse(DriveApp.getFileById(fileId).getBlob().getDataAsString());
+    if (stored.version === USER_DIRECTORY_CONFIG.VERSION) {
+      USER_DIRECTORY.refreshedAt = stored.refreshedAt || null;
+      USER_DIRECTORY.users = stored.users || {};
+      Logger.log(`👥 Loaded ${Object.keys(USER_DIRECTORY.users).length} users from the persistent user cache`);
+    }
+  } catch (error) {
+    Logger.log(`⚠️ Could not load persistent user cache: ${error.message}`);
+  }
+  return USER_DIRECTORY;
+}
+
+/**
+ * Whether a timestamp is within the user cache TTL
+ */
+function isUserCacheFresh(timestamp, config) {
+  if (!timestamp || !config.userCacheTtlHours) return false;
+  const ageHours = (Date.now() - new Date(timestamp).getTime()) / (1000 * 60 * 60);
+  return ageHours < config.userCacheTtlHours;
+}
+
+/**
+ * Store a fetched user in the in-memory name cache and the persistent directory
+ */
+function rememberUser(userId, user) {
+  const record = buildUserRecord({ ...user, id: userId });
+  USER_DIRECTORY.users[userId] = record;
+  USER_DIRECTORY.dirty = true;
+  USER_NAME_CACHE[userId] = record.displayName;
+  return record;
+}
+
+/**
+ * Directory record (display name, email, teams) for a user, or null if never resolved
+ */
+function getUserRecord(userId) {
+  return (userId && USER_DIRECTORY.users[userId]) || null;
+}
+
+/**
+ * Persist the user directory if it changed during this execution
+ */
+function saveUserDirectory(config) {
+  if (!config.userCacheTtlHours || !USER_DIRECTORY.dirty) return;
+  
+  const props = PropertiesService.getScriptProperties();
+  const content = JSON.stringify({
+    version: USER_DIRECTORY_CONFIG.VERSION,
+    refreshedAt: USER_DIRECTORY.refreshedAt,
+    users: USER_DIRECTORY.users
+  });
+  
+  try {
+    const fileId = props.getProperty(USER_DIRECTORY_CONFIG.FILE_ID_PROPERTY);
+    if (fileId) {
+      DriveApp.getFileById(fileId).setContent(content);
+    } else {
+      const file = DriveApp.createFile(USER_DIRECTORY_CONFIG.FILE_NAME, content, 'application/json');
+      props.setProperty(USER_DIRECTORY_CONFIG.FILE_ID_PROPERTY, file.getId());
+    }
+    USER_DIRECTORY.dirty = false;
+    Logger.log(`👥 Persistent user cache saved (${Object.keys(USER_DIRECTORY.users).length} users)`);
+  } catch (error) {
+    // The cache is an optimization; never fail the report because of it
+    Logger.log(`⚠️ Could not save persistent user cache: ${error.message}`);
+  }
+}
+
+/**
+ * Copy the owner's email and teams from the user directory onto an objective or key result
+ */
+function applyOwnerDirectoryFields(item) {
+  const record = getUserRecord(item.ownerId);
+  item.ownerEmail = item.ownerEmail || (record && record.email) || null;
+  item.ownerTeams = item.ownerTeams || (record ? record.teams : []);
+}
+
 /**
  * Fetch user display name by user ID
  * Now supports batch-fetched user map for better performance
@@ -378,6 +2515,13 @@ function fetchUserDisplayName(userId, config, userMap = null) {
     return userMap[userId];
   }
   
+  // Use the persistent user cache if the entry is still fresh
+  const cachedRecord = loadUserDirectory(config).users[userId];
+  if (cachedRecord && isUserCacheFresh(cachedRecord.fetchedAt, config)) {
+    USER_NAME_CACHE[userId] = cachedRecord.displayName;
+    return cachedRecord.displayName;
+  }
+  
   const headers = {
     'Authorization': `Bearer ${config.apiToken}`,
     'Gtmhub-AccountId': config.accountId,
@@ -387,20 +2531,18 @@ function fetchUserDisplayName(userId, config, userMap = null) {
   try {
     const userUrl = `${config.baseUrl}/users/${userId}`;
     
-    const userResponse = UrlFetchApp.fetch(userUrl, { 
+    // Deleted users answer 404 and fall back to "User <id>"
+    const userResponse = BatchProcessor.fetchWithRetry(userUrl, { 
       headers: headers,
       muteHttpExceptions: true 
-    });
+    }, config, [404]);
     
     const responseCode = userResponse.getResponseCode();
     const responseText = userResponse.getContentText();
     
     if (responseCode === 200) {
       const userData = JSON.parse(responseText);
-      
-      const displayName = userData.displayName || userData.name || userData.email || userData.firstName + ' ' + userData.lastName || `User ${userId}`;
-      USER_NAME_CACHE[userId] = displayName;
-      return displayName;
+      return rememberUser(userId, userData).displayName;
     } else {
       const fallbackName = `User ${userId}`;
       USER_NAME_CACHE[userId] = fallbackName;
@@ -415,43 +2557,39 @@ function fetchUserDisplayName(userId, config, userMap = null) {
 
 /**
  * Fetch all users in a single bulk API call for maximum performance
+ * Served from the persistent user cache while its last full refresh is within the TTL
  */
 function fetchAllUsersBulk(config) {
   if (!PERFORMANCE_MODE.USE_BULK_USER_FETCH) {
     return null; // Fall back to individual user fetching
   }
   
+  const directory = loadUserDirectory(config);
+  if (directory.bulkFetched || isUserCacheFresh(directory.refreshedAt, config)) {
+    const userMap = {};
+    Object.entries(directory.users).forEach(([userId, record]) => {
+      userMap[userId] = record.displayName;
+      USER_NAME_CACHE[userId] = record.displayName;
+    });
+    Logger.log(`✅ Using persistent user cache: ${Object.keys(userMap).length} users (refreshed ${directory.refreshedAt})`);
+    return userMap;
+  }
+  
   try {
-    const usersUrl = `${config.baseUrl}/users?limit=1000&fields=id,displayName,name,email,firstName,lastName`;
+    const usersUrl = `${config.baseUrl}/users?fields=id,displayName,name,email,firstName,lastName,teams`;
     Logger.log(`👥 Bulk fetching all users from: ${usersUrl}`);
     
-    const response = UrlFetchApp.fetch(usersUrl, { 
-      headers: BatchProcessor.buildHeaders(config),
-      muteHttpExceptions: true 
-    });
+    const users = fetchAllPages(usersUrl, config, 'users');
     
-    if (response.getResponseCode() === 200) {
-      const responseText = response.getContentText();
-      if (!responseText.trim().startsWith('<!DOCTYPE') && !responseText.trim().startsWith('<html')) {
-        const data = JSON.parse(responseText);
-        const users = data.items || data.users || data;
-        
-        const userMap = {};
-        users.forEach(user => {
-          const displayName = user.displayName || user.name || user.email ||
-                            (user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : null) ||
-                            `User ${user.id}`;
-          userMap[user.id] = displayName;
-          USER_NAME_CACHE[user.id] = displayName; // Cache for future use
-        });
-        
-        Logger.log(`✅ Bulk user fetch complete: ${Object.keys(userMap).length} users loaded`);
-        return userMap;
-      }
-    }
+    const userMap = {};
+    users.forEach(user => {
+      userMap[user.id] = rememberUser(user.id, user).displayName; // Cache for future use
+    });
+    directory.refreshedAt = new Date().toISOString();
+    directory.bulkFetched = true;
     
-    Logger.log(`⚠️ Bulk user fetch failed, falling back to individual fetching`);
-    return null;
+    Logger.log(`✅ Bulk user fetch complete: ${Object.keys(userMap).length} users loaded`);
+    return userMap;
   } catch (error) {
     Logger.log(`⚠️ Bulk user fetch error: ${error.message}, falling back to individual fetching`);
     return null;
@@ -461,44 +2599,66 @@ function fetchAllUsersBulk(config) {
 /**
  * Batch fetch user display names for multiple user IDs
  * Replaces individual fetchUserDisplayName calls for better performance
+ * Only users missing from the bulk map or persistent cache (or stale there) are requested individually
  */
 function batchFetchUsers(userIds, config) {
   if (!userIds || userIds.length === 0) return {};
   
+  const uniqueUserIds = [...new Set(userIds.filter(id => id))];
+  const userMap = {};
+  
   // Try bulk fetch first for maximum performance
   if (PERFORMANCE_MODE.USE_BULK_USER_FETCH) {
     const bulkUserMap = fetchAllUsersBulk(config);
     if (bulkUserMap) {
-      return bulkUserMap;
+      Object.assign(userMap, bulkUserMap);
     }
   }
   
-  const uniqueUserIds = [...new Set(userIds.filter(id => id))];
-  Logger.log(`👥 Batch fetching ${uniqueUserIds.length} unique users`);
+  // Fill in from the persistent cache, then fetch whatever is still missing or stale
+  const directory = loadUserDirectory(config);
+  const idsToFetch = uniqueUserIds.filter(userId => {
+    if (userMap[userId]) return false;
+    // Already resolved earlier in this execution (e.g. by another report profile)
+    if (USER_NAME_CACHE[userId] && USER_NAME_CACHE[userId] !== `User ${userId}`) {
+      userMap[userId] = USER_NAME_CACHE[userId];
+      return false;
+    }
+    const cachedRecord = directory.users[userId];
+    if (cachedRecord && isUserCacheFresh(cachedRecord.fetchedAt, config)) {
+      userMap[userId] = cachedRecord.displayName;
+      USER_NAME_CACHE[userId] = cachedRecord.displayName;
+      return false;
+    }
+    return true;
+  });
   
-  const requests = uniqueUserIds.map(userId => ({
+  if (idsToFetch.length === 0) {
+    return userMap;
+  }
+  
+  Logger.log(`👥 Batch fetching ${idsToFetch.length} of ${uniqueUserIds.length} unique users`);
+  
+  // Deleted users answer 404 and fall back to "User <id>"
+  const requests = idsToFetch.map(userId => ({
     url: `${config.baseUrl}/users/${userId}`,
     options: { 
       headers: BatchProcessor.buildHeaders(config),
       muteHttpExceptions: true 
-    }
+    },
+    expectedStatuses: [404]
   }));
   
   const responses = BatchProcessor.executeBatchRequests(requests, config);
-  const userMap = {};
   
   responses.forEach((response, index) => {
-    const userId = uniqueUserIds[index];
+    const userId = idsToFetch[index];
     if (response && response.getResponseCode() === 200) {
       try {
         const responseText = response.getContentText();
         if (!responseText.trim().startsWith('<!DOCTYPE') && !responseText.trim().startsWith('<html')) {
           const userData = JSON.parse(responseText);
-          const displayName = userData.displayName || userData.name || userData.email || 
-                            (userData.firstName && userData.lastName ? `${userData.firstName} ${userData.lastName}` : null) || 
-                            `User ${userId}`;
-          userMap[userId] = displayName;
-          USER_NAME_CACHE[userId] = displayName;
+          userMap[userId] = rememberUser(userId, userData).displayName;
         } else {
           userMap[userId] = `User ${userId}`;
         }
@@ -510,7 +2670,7 @@ function batchFetchUsers(userIds, config) {
     }
   });
   
-  Logger.log(`✅ Batch user fetching complete: ${Object.keys(userMap).length}/${uniqueUserIds.length} users resolved`);
+  Logger.log(`✅ Batch user fetching complete: ${uniqueUserIds.filter(id => userMap[id] && userMap[id] !== `User ${id}`).length}/${uniqueUserIds.length} users resolved`);
   return userMap;
 }
 
@@ -537,10 +2697,11 @@ function fetchProgressHistory(metricId, config) {
     
     const historyUrl = `${config.baseUrl}/metrics/${metricId}/values?from=${startDateString}&to=${endDateString}`;
     
-    const historyResponse = UrlFetchApp.fetch(historyUrl, { 
+    // Metrics without recorded values answer 404 and get an empty history
+    const historyResponse = BatchProcessor.fetchWithRetry(historyUrl, { 
       headers: headers,
       muteHttpExceptions: true 
-    });
+    }, config, [404]);
     
     if (historyResponse.getResponseCode() === 200) {
       const historyResponseText = historyResponse.getContentText();
@@ -604,20 +2765,24 @@ function processProgressHistory(historyData) {
   })).filter(entry => entry.date);
 }
 
+/**
+ * Whether the run still has time left for optional history fetching
+ */
+function isWithinHistoryTimeBudget(config) {
+  const budgetSeconds = config.historyTimeBudgetSeconds !== undefined
+    ? config.historyTimeBudgetSeconds
+    : INTERNAL_CONFIG.HISTORY_TIME_BUDGET_SECONDS;
+  return (Date.now() - EXECUTION_START_TIME) / 1000 < budgetSeconds;
+}
+
 /**
  * Batch fetch progress history for multiple metric IDs
  * Replaces individual fetchProgressHistory calls for better performance
+ * Fetches chunk by chunk and stops once the history time budget is spent; remaining metrics get empty history
  */
 function batchFetchProgressHistory(metricIds, config) {
   if (!metricIds || metricIds.length === 0) return {};
   
-  // PERFORMANCE OPTIMIZATION: Skip progress history for speed
-  if (PERFORMANCE_MODE.SKIP_PROGRESS_HISTORY || PERFORMANCE_MODE.SKIP_KR_PROGRESS_HISTORY) {
-    const emptyMap = {};
-    metricIds.forEach(id => { emptyMap[id] = []; });
-    return emptyMap;
-  }
-  
   const uniqueMetricIds = [...new Set(metricIds.filter(id => id))];
   
   // Calculate date range for sparkline history
@@ -628,16 +2793,29 @@ function batchFetchProgressHistory(metricIds, config) {
   const startDateString = startDate.toISOString().split('T')[0];
   const endDateString = endDate.toISOString().split('T')[0];
   
+  // Metrics without recorded values (e.g. new key results) answer 404 and get an empty history
   const requests = uniqueMetricIds.map(metricId => ({
     url: `${config.baseUrl}/metrics/${metricId}/values?from=${startDateString}&to=${endDateString}`,
     options: { 
       headers: BatchProcessor.buildHeaders(config),
       muteHttpExceptions: true 
-    }
+    },
+    expectedStatuses: [404]
   }));
   
-  const responses = BatchProcessor.executeBatchRequests(requests, config);
   const progressMap = {};
+  uniqueMetricIds.forEach(metricId => { progressMap[metricId] = []; });
+  
+  // Fetch one chunk at a time so we can stop gracefully before the execution limit
+  const chunkSize = 25;
+  const responses = [];
+  for (let start = 0; start < requests.length; start += chunkSize) {
+    if (!isWithinHistoryTimeBudget(config)) {
+      Logger.log(`⏱️ History time budget reached; ${requests.length - start} of ${requests.length} metrics left without progress history`);
+      break;
+    }
+    responses.push(...BatchProcessor.executeBatchRequests(requests.slice(start, start + chunkSize), config, chunkSize));
+  }
   
   responses.forEach((response, index) => {
     const metricId = uniqueMetricIds[index];
@@ -799,6 +2977,15 @@ function batchFetchTasks(metricIds, config) {
   return tasksMap;
 }
 
+/**
+ * Drop tasks whose status is listed in HIDE_TASK_STATUSES
+ */
+function filterTasksByStatus(tasks, config) {
+  const hidden = config.hiddenTaskStatuses || [];
+  if (hidden.length === 0) return tasks;
+  return tasks.filter(task => !hidden.includes(String(task.status || task.state || '').toLowerCase()));
+}
+
 /**
  * Fetch tasks for a given metric (key result)
  * Now uses /metrics/{metricId} endpoint instead of problematic /tasks?metricId={metricId}
@@ -816,10 +3003,10 @@ function fetchTasksForMetric(metricId, config) {
     // Try to get tasks from the metric endpoint with expand parameter
     const metricUrl = `${config.baseUrl}/metrics/${metricId}?expand=tasks`;
     
-    const metricResponse = UrlFetchApp.fetch(metricUrl, { 
+    const metricResponse = BatchProcessor.fetchWithRetry(metricUrl, { 
       headers: headers,
       muteHttpExceptions: true 
-    });
+    }, config);
     
     if (metricResponse.getResponseCode() === 200) {
       const metricResponseText = metricResponse.getContentText();
@@ -838,10 +3025,10 @@ function fetchTasksForMetric(metricId, config) {
         if (taskCount > 0) {
           // Try the direct /metrics/{metricId} endpoint without expand
           const simpleMetricUrl = `${config.baseUrl}/metrics/${metricId}`;
-          const simpleMetricResponse = UrlFetchApp.fetch(simpleMetricUrl, { 
+          const simpleMetricResponse = BatchProcessor.fetchWithRetry(simpleMetricUrl, { 
             headers: headers,
             muteHttpExceptions: true 
-          });
+          }, config);
           
           if (simpleMetricResponse.getResponseCode() === 200) {
             const simpleMetricData = JSON.parse(simpleMetricResponse.getContentText());
@@ -884,9 +3071,9 @@ function fetchSessionDetail(sessionId, config) {
   const sessionUrl = `${config.baseUrl}/sessions/${sessionId}`;
   Logger.log(`🔍 Fetching session details from: ${sessionUrl}`);
   
-  const sessionResponse = UrlFetchApp.fetch(sessionUrl, { 
+  const sessionResponse = BatchProcessor.fetchWithRetry(sessionUrl, { 
     headers: BatchProcessor.buildHeaders(config) 
-  });
+  }, config);
   
   const sessionResponseText = sessionResponse.getContentText();
   
@@ -906,66 +3093,18 @@ function fetchSessionObjectives(sessionId, config) {
   const objectivesUrl = `${config.baseUrl}/goals?sessionId=${sessionId}`;
   Logger.log(`🎯 Fetching objectives from: ${objectivesUrl}`);
   
-  const objectivesResponse = UrlFetchApp.fetch(objectivesUrl, { 
-    headers: BatchProcessor.buildHeaders(config) 
-  });
-  
-  const objectivesResponseText = objectivesResponse.getContentText();
-  
-  // Check if response is HTML (error page)
-  if (objectivesResponseText.trim().startsWith('<!DOCTYPE') || objectivesResponseText.trim().startsWith('<html')) {
-    Logger.log(`❌ Received HTML error page for objectives in session ${sessionId}. Response: ${objectivesResponseText.substring(0, 500)}...`);
-    throw new Error(`API returned HTML error page when fetching objectives for session "${sessionId}". Check your API token permissions.`);
-  }
-  
-  const objectivesData = JSON.parse(objectivesResponseText);
-  
-  // Handle different response formats for objectives (goals)
-  if (Array.isArray(objectivesData)) {
-    return objectivesData;
-  } else if (objectivesData.items && Array.isArray(objectivesData.items)) {
-    return objectivesData.items;
-  } else if (objectivesData.goals && Array.isArray(objectivesData.goals)) {
-    return objectivesData.goals;
-  } else if (objectivesData.objectives && Array.isArray(objectivesData.objectives)) {
-    return objectivesData.objectives;
-  } else {
-    return objectivesData; // fallback
-  }
+  return fetchAllPages(objectivesUrl, config, `objectives for session "${sessionId}"`);
 }
 
 /**
  * Resolve multiple sessions (names/UUIDs) to session objects
  */
 function resolveMultipleSessions(config) {
-  const headers = {
-    'Authorization': `Bearer ${config.apiToken}`,
-    'Gtmhub-AccountId': config.accountId,
-    'Content-Type': 'application/json'
-  };
-  
-  // Fetch all sessions
-  const sessionsUrl = `${config.baseUrl}/sessions`;
-  const sessionsResponse = UrlFetchApp.fetch(sessionsUrl, { headers });
-  const responseText = sessionsResponse.getContentText();
-  
-  Logger.log(`📊 Sessions API response: ${responseText.substring(0, 200)}...`);
-  
-  const sessionsData = JSON.parse(responseText);
-  
-  // Handle different response formats
-  let allSessions;
-  if (Array.isArray(sessionsData)) {
-    allSessions = sessionsData;
-  } else if (sessionsData.items && Array.isArray(sessionsData.items)) {
-    allSessions = sessionsData.items;
-  } else if (sessionsData.sessions && Array.isArray(sessionsData.sessions)) {
-    allSessions = sessionsData.sessions;
-  } else if (sessionsData.data && Array.isArray(sessionsData.data)) {
-    allSessions = sessionsData.data;
-  } else {
-    throw new Error(`Unexpected sessions API response format. Expected array, got: ${typeof sessionsData}`);
+  // Fetch all sessions (once per execution)
+  if (!EXECUTION_CACHE.sessionList) {
+    EXECUTION_CACHE.sessionList = fetchAllPages(`${config.baseUrl}/sessions`, config, 'sessions');
   }
+  const allSessions = EXECUTION_CACHE.sessionList;
   
   Logger.log(`📋 Found ${allSessions.length} total sessions`);
   
@@ -1008,34 +3147,8 @@ function resolveMultipleSessions(config) {
  * Find session ID by name (legacy function for backward compatibility)
  */
 function findSessionByName(config) {
-  const headers = {
-    'Authorization': `Bearer ${config.apiToken}`,
-    'Gtmhub-AccountId': config.accountId,
-    'Content-Type': 'application/json'
-  };
-  
   // Fetch all sessions
-  const sessionsUrl = `${config.baseUrl}/sessions`;
-  const sessionsResponse = UrlFetchApp.fetch(sessionsUrl, { headers });
-  const responseText = sessionsResponse.getContentText();
-  
-  Logger.log(`📊 Sessions API response: ${responseText.substring(0, 200)}...`);
-  
-  const sessionsData = JSON.parse(responseText);
-  
-  // Handle different response formats
-  let sessions;
-  if (Array.isArray(sessionsData)) {
-    sessions = sessionsData;
-  } else if (sessionsData.items && Array.isArray(sessionsData.items)) {
-    sessions = sessionsData.items;
-  } else if (sessionsData.sessions && Array.isArray(sessionsData.sessions)) {
-    sessions = sessionsData.sessions;
-  } else if (sessionsData.data && Array.isArray(sessionsData.data)) {
-    sessions = sessionsData.data;
-  } else {
-    throw new Error(`Unexpected sessions API response format. Expected array, got: ${typeof sessionsData}`);
-  }
+  const sessions = fetchAllPages(`${config.baseUrl}/sessions`, config, 'sessions');
   
   Logger.log(`📋 Found ${sessions.length} sessions`);
   
@@ -1052,12 +3165,31 @@ function findSessionByName(config) {
   return targetSession.id;
 }
 
+/**
+ * Look up keyed API results in EXECUTION_CACHE, fetching only the missing keys
+ * Returns copies so processing for one report profile cannot leak into another
+ */
+function fetchWithExecutionCache(bucket, keys, fetchMissing) {
+  const cache = EXECUTION_CACHE[bucket];
+  const missingKeys = [...new Set(keys.filter(key => key && !(key in cache)))];
+  if (missingKeys.length > 0) {
+    Object.assign(cache, fetchMissing(missingKeys));
+  }
+  
+  const results = {};
+  keys.forEach(key => {
+    if (key in cache) results[key] = JSON.parse(JSON.stringify(cache[key]));
+  });
+  return results;
+}
+
 /**
  * Optimized session data fetching using batch processing
  * Replaces sequential API calls with parallel batch operations
+ * When a completed resumable checkpoint is given, sessions, objectives, goal details and users come from it
  */
-function fetchSessionDataOptimized(config) {
-  const sessions = resolveMultipleSessions(config);
+function fetchSessionDataOptimized(config, checkpoint = null) {
+  const sessions = checkpoint ? checkpoint.sessions : resolveMultipleSessions(config);
   let allObjectives = [];
   let allKeyResults = [];
   const sessionDetails = [];
@@ -1073,10 +3205,14 @@ function fetchSessionDataOptimized(config) {
     Logger.log(`📊 Processing session: "${sessionName}" (ID: ${session.id})`);
     
     try {
-      const sessionDetail = fetchSessionDetail(session.id, config);
+      const sessionDetail = checkpoint
+        ? checkpoint.sessionDetails[session.id]
+        : fetchWithExecutionCache('sessionDetails', [session.id], ids => ({ [ids[0]]: fetchSessionDetail(ids[0], config) }))[session.id];
       sessionDetails.push(sessionDetail);
       
-      const objectives = fetchSessionObjectives(session.id, config);
+      const objectives = checkpoint
+        ? checkpoint.objectivesBySession[session.id]
+        : fetchWithExecutionCache('objectivesBySession', [session.id], ids => ({ [ids[0]]: fetchSessionObjectives(ids[0], config) }))[session.id];
       objectives.forEach(obj => {
         obj.sessionId = session.id;
         obj.sessionName = sessionName;
@@ -1098,8 +3234,12 @@ function fetchSessionDataOptimized(config) {
   
   // Step 3: BATCH FETCH objective data (parallel processing)
   Logger.log(`📊 Starting batch fetch of objective data...`);
-  const goalDetailsMap = batchFetchGoalDetails(objectiveIds, config);
-  const objectiveProgressMap = batchFetchProgressHistory(objectiveIds, config);
+  const goalDetailsMap = checkpoint
+    ? checkpoint.goalDetailsMap
+    : fetchWithExecutionCache('goalDetails', objectiveIds, ids => batchFetchGoalDetails(ids, config));
+  const objectiveProgressMap = config.skipProgressHistory
+    ? {}
+    : fetchWithExecutionCache('progressHistory', objectiveIds, ids => batchFetchProgressHistory(ids, config));
   
   // Step 4: Enhance objectives with batch data and extract key results
   Logger.log(`🔧 Processing batch results and extracting key results...`);
@@ -1112,6 +3252,8 @@ function fetchSessionDataOptimized(config) {
       obj.progress = Math.round((goalData.attainment || 0) * 100);
       obj.status = goalData.closedStatus || obj.status;
       obj.ownerId = goalData.ownerId;
+      obj.tags = goalData.tags || obj.tags || [];
+      if (goalData.weight !== undefined) obj.weight = goalData.weight;
       
       // Collect user IDs for batch processing
       if (goalData.ownerId) allUserIds.add(goalData.ownerId);
@@ -1140,7 +3282,7 @@ function fetchSessionDataOptimized(config) {
     
     // Add progress history from batch
     obj.progressHistory = objectiveProgressMap[obj.id] || [];
-    obj.sparkline = generateSparkline(obj.progressHistory);
+    obj.sparkline = generateSparkline(obj.progressHistory, config);
   });
   
   Logger.log(`✅ Extracted ${allKeyResults.length} key results from ${allObjectives.length} objectives`);
@@ -1149,21 +3291,21 @@ function fetchSessionDataOptimized(config) {
   if (allKeyResults.length > 0) {
     Logger.log(`📊 Starting batch fetch of key result data...`);
     const keyResultIds = allKeyResults.map(kr => kr.id);
-    const keyResultProgressMap = batchFetchProgressHistory(keyResultIds, config);
-    
-    // PERFORMANCE OPTIMIZATION: Skip task fetching entirely for speed
-    // Tasks can be fetched later if needed via separate function
-    const keyResultTasksMap = {};
-    // Initialize all key results with empty task arrays for performance
-    keyResultIds.forEach(krId => {
-      keyResultTasksMap[krId] = []; // Empty arrays - tasks not fetched for performance
-    });
+    const keyResultProgressMap = config.skipKrProgressHistory
+      ? {}
+      : fetchWithExecutionCache('progressHistory', keyResultIds, ids => batchFetchProgressHistory(ids, config));
+    
+    // Tasks are opt-in (INCLUDE_TASKS) and only requested for key results that report any
+    const keyResultTasksMap = config.includeTasks
+      ? fetchWithExecutionCache('tasks', allKeyResults.filter(kr => (kr.tasksCount || kr.taskCount || 0) > 0).map(kr => kr.id),
+        ids => batchFetchTasks(ids, config))
+      : {};
     
     // Step 6: Enhance key results with batch data
     allKeyResults.forEach(kr => {
       kr.progressHistory = keyResultProgressMap[kr.id] || [];
-      kr.sparkline = generateSparkline(kr.progressHistory);
-      kr.tasks = keyResultTasksMap[kr.id] || [];
+      kr.sparkline = generateSparkline(kr.progressHistory, config);
+      kr.tasks = filterTasksByStatus(keyResultTasksMap[kr.id] || [], config);
       
       // Extract owner information - try embedded first
       if (kr.owner && typeof kr.owner === 'object') {
@@ -1186,20 +3328,34 @@ function fetchSessionDataOptimized(config) {
   let userMap = {};
   if (allUserIds.size > 0) {
     Logger.log(`👥 Starting batch fetch of user data...`);
-    userMap = batchFetchUsers([...allUserIds], config);
+    userMap = checkpoint ? { ...checkpoint.userMap } : batchFetchUsers([...allUserIds], config);
+    if (checkpoint) {
+      loadUserDirectory(config);
+      Object.entries(checkpoint.userRecords || {}).forEach(([id, record]) => {
+        if (!USER_DIRECTORY.users[id]) USER_DIRECTORY.users[id] = record;
+      });
+    }
+    
+    // Task assignees are not part of the checkpoint's user phase
+    const missingUserIds = [...allUserIds].filter(id => !userMap[id]);
+    if (checkpoint && missingUserIds.length > 0) {
+      Object.assign(userMap, batchFetchUsers(missingUserIds, config));
+    }
   }
   
-  // Step 8: Apply user names using batch data
+  // Step 8: Apply user names (plus email and teams from the user directory) using batch data
   allObjectives.forEach(obj => {
     if (!obj.ownerName && obj.ownerId) {
       obj.ownerName = userMap[obj.ownerId] || 'Unassigned';
     }
+    applyOwnerDirectoryFields(obj);
   });
   
   allKeyResults.forEach(kr => {
     if (!kr.ownerName && kr.ownerId) {
       kr.ownerName = userMap[kr.ownerId] || kr.objectiveOwner || 'Unassigned';
     }
+    applyOwnerDirectoryFields(kr);
     
     kr.tasks.forEach(task => {
       // Extract owner information - try embedded first
@@ -1217,18 +3373,27 @@ function fetchSessionDataOptimized(config) {
   const batchDuration = (batchEndTime - batchStartTime) / 1000;
   Logger.log(`🚀 Batch processing completed in ${batchDuration} seconds`);
   
-  // Step 9: Build hierarchy and return
-  const hierarchicalObjectives = buildObjectiveHierarchy(allObjectives);
-  
   Logger.log(`📊 Batch Summary: ${allObjectives.length} objectives, ${allKeyResults.length} key results, ${allUserIds.size} users`);
   
+  // Step 9: Record what could not be fetched or resolved for the data quality section
+  const failedGoalIds = objectiveIds.filter(id => !goalDetailsMap[id]);
+  const unresolvedUserIds = [...allUserIds].filter(id => !userMap[id] || userMap[id] === `User ${id}`);
+  const diagnostics = buildRunDiagnostics(failedGoalIds, unresolvedUserIds, findOrphanedKeyResults(allObjectives, allKeyResults));
+  
+  // Step 10: Roll up objective progress over the full set, apply the FILTER expression,
+  // then build the hierarchy from what remains
+  applyProgressRollup(allObjectives, allKeyResults, config);
+  const { objectives, keyResults } = applyReportFilter(allObjectives, allKeyResults, config);
+  const hierarchicalObjectives = buildObjectiveHierarchy(objectives);
+  
   return {
     sessions: sessionDetails,
-    objectives: allObjectives,
+    objectives,
     hierarchicalObjectives: hierarchicalObjectives,
-    keyResults: allKeyResults,
+    keyResults,
     sessionCount: sessions.length,
-    sessionNames: sessions.map(s => s.name || s.title || `Session ${s.id}`).join(', ')
+    sessionNames: sessions.map(s => s.name || s.title || `Session ${s.id}`).join(', '),
+    diagnostics
   };
 }
 
@@ -1237,14 +3402,239 @@ function fetchSessionDataOptimized(config) {
  * Uses optimized batch processing with fallback to sequential processing
  */
 function fetchSessionData(config) {
+  BatchProcessor.resetRunState();
+  let data;
   try {
     Logger.log('🚀 Using optimized batch processing for session data fetching');
-    return fetchSessionDataOptimized(config);
+    data = fetchSessionDataOptimized(config);
+    BatchProcessor.logDroppedRequestsSummary();
   } catch (error) {
     Logger.log(`⚠️ Batch processing failed: ${error.message}`);
     Logger.log('📞 Falling back to sequential processing');
-    return fetchSessionDataSequential(config);
+    BatchProcessor.resetRunState();
+    data = fetchSessionDataSequential(config);
+  }
+  saveUserDirectory(config);
+  return data;
+}
+
+/**
+ * Resumable data fetching for large multi-session runs
+ * Expensive API results (sessions, objectives, goal details, users) are collected across
+ * several executions in a checkpoint stored as a Drive JSON file. When time runs out a
+ * continuation trigger is scheduled; once everything is fetched the normal pipeline runs
+ * against the checkpoint. Returns null while the run is still in progress.
+ */
+function fetchSessionDataResumable(config) {
+  let checkpoint = loadReportCheckpoint(config);
+  if (!checkpoint) {
+    Logger.log('🧭 Starting new resumable report run');
+    checkpoint = {
+      version: CHECKPOINT_CONFIG.VERSION,
+      createdAt: new Date().toISOString(),
+      sessionsKey: config.sessions.join('|'),
+      phase: 'sessions',
+      executions: 0
+    };
+  } else {
+    Logger.log(`🧭 Resuming report run from phase "${checkpoint.phase}" (execution ${checkpoint.executions + 1})`);
+  }
+  checkpoint.executions++;
+  
+  const completed = advanceReportCheckpoint(checkpoint, config);
+  saveReportCheckpoint(checkpoint);
+  
+  if (!completed) {
+    scheduleReportContinuation();
+    return null;
+  }
+  
+  // Progress history, exports and notifications are not time-budgeted, so they get a fresh
+  // execution unless enough of this one is left
+  if (!hasTimeForReportWrite()) {
+    Logger.log('⏱️ All data fetched; writing the report in the next execution');
+    scheduleReportContinuation();
+    return null;
+  }
+  
+  BatchProcessor.resetRunState();
+  const data = fetchSessionDataOptimized(config, checkpoint);
+  BatchProcessor.logDroppedRequestsSummary();
+  saveUserDirectory(config);
+  return data;
+}
+
+/**
+ * Fetch checkpoint phases until done or the execution time budget is spent
+ * Phases: sessions → goals (in slices) → users → complete
+ */
+function advanceReportCheckpoint(checkpoint, config) {
+  if (checkpoint.phase === 'sessions') {
+    const sessions = resolveMultipleSessions(config);
+    checkpoint.sessions = sessions;
+    checkpoint.sessionDetails = {};
+    checkpoint.objectivesBySession = {};
+    sessions.forEach(session => {
+      checkpoint.sessionDetails[session.id] = fetchSessionDetail(session.id, config);
+      checkpoint.objectivesBySession[session.id] = fetchSessionObjectives(session.id, config);
+    });
+    
+    const objectiveIds = [].concat(...Object.values(checkpoint.objectivesBySession)).map(obj => obj.id);
+    checkpoint.pendingGoalIds = [...new Set(objectiveIds.filter(id => id))];
+    checkpoint.goalDetailsMap = {};
+    checkpoint.phase = 'goals';
+    Logger.log(`🧭 Checkpoint: ${sessions.length} sessions and ${checkpoint.pendingGoalIds.length} objectives resolved`);
+  }
+  
+  while (checkpoint.phase === 'goals') {
+    if (checkpoint.pendingGoalIds.length === 0) {
+      checkpoint.phase = 'users';
+      break;
+    }
+    if (!isWithinResumeTimeBudget(config)) {
+      Logger.log(`⏱️ Time budget reached with ${checkpoint.pendingGoalIds.length} objectives left to fetch`);
+      return false;
+    }
+    
+    const slice = checkpoint.pendingGoalIds.slice(0, CHECKPOINT_CONFIG.GOAL_SLICE_SIZE);
+    Object.assign(checkpoint.goalDetailsMap, batchFetchGoalDetails(slice, config));
+    checkpoint.pendingGoalIds = checkpoint.pendingGoalIds.slice(slice.length);
+  }
+  
+  if (checkpoint.phase === 'users') {
+    if (!isWithinResumeTimeBudget(config)) return false;
+    
+    // Same owner IDs fetchSessionDataOptimized collects from goal details
+    const userIds = new Set();
+    Object.values(checkpoint.goalDetailsMap).forEach(goalData => {
+      if (!goalData) return;
+      if (goalData.ownerId) userIds.add(goalData.ownerId);
+      (goalData.metrics || []).forEach(kr => {
+        if (kr.ownerId) userIds.add(kr.ownerId);
+      });
+    });
+    checkpoint.userMap = userIds.size > 0 ? batchFetchUsers([...userIds], config) : {};
+    // Email and teams live in the in-memory user directory, which a later execution starts without
+    checkpoint.userRecords = {};
+    userIds.forEach(id => {
+      const record = getUserRecord(id);
+      if (record) checkpoint.userRecords[id] = record;
+    });
+    checkpoint.phase = 'complete';
+  }
+  
+  return checkpoint.phase === 'complete';
+}
+
+/**
+ * Whether the current execution still has time for another resumable step
+ */
+function isWithinResumeTimeBudget(config) {
+  return (Date.now() - EXECUTION_START_TIME) / 1000 < config.resumeTimeBudgetSeconds;
+}
+
+/**
+ * Whether the current execution has WRITE_STAGE_SECONDS left for writing the report
+ */
+function hasTimeForReportWrite() {
+  const elapsedSeconds = (Date.now() - EXECUTION_START_TIME) / 1000;
+  return elapsedSeconds + CHECKPOINT_CONFIG.WRITE_STAGE_SECONDS <= CHECKPOINT_CONFIG.EXECUTION_LIMIT_SECONDS;
+}
+
+/**
+ * Load the in-progress checkpoint, discarding it if stale or for a different session list
+ */
+function loadReportCheckpoint(config) {
+  const props = PropertiesService.getScriptProperties();
+  const fileId = props.getProperty(CHECKPOINT_CONFIG.FILE_ID_PROPERTY);
+  if (!fileId) return null;
+  
+  try {
+    const checkpoint = JSON.parse(DriveApp.getFileById(fileId).getBlob().getDataAsString());
+    const ageHours = (Date.now() - new Date(checkpoint.createdAt).getTime()) / (1000 * 60 * 60);
+    
+    if (checkpoint.version !== CHECKPOINT_CONFIG.VERSION || checkpoint.sessionsKey !== config.sessions.join('|')) {
+      Logger.log('🧭 Discarding checkpoint from a different configuration');
+      clearReportCheckpoint();
+      return null;
+    }
+    if (!(ageHours < CHECKPOINT_CONFIG.MAX_AGE_HOURS)) {
+      Logger.log(`🧭 Discarding stale checkpoint (${Math.round(ageHours)} hours old)`);
+      clearReportCheckpoint();
+      return null;
+    }
+    return checkpoint;
+  } catch (error) {
+    Logger.log(`⚠️ Could not load report checkpoint: ${error.message}`);
+    clearReportCheckpoint();
+    return null;
+  }
+}
+
+/**
+ * Save the checkpoint to its Drive file, creating the file on first save
+ */
+function saveReportCheckpoint(checkpoint) {
+  const props = PropertiesService.getScriptProperties();
+  const content = JSON.stringify(checkpoint);
+  const fileId = props.getProperty(CHECKPOINT_CONFIG.FILE_ID_PROPERTY);
+  
+  if (fileId) {
+    try {
+      DriveApp.getFileById(fileId).setContent(content);
+      return;
+    } catch (error) {
+      Logger.log(`⚠️ Checkpoint file ${fileId} not writable, creating a new one: ${error.message}`);
+    }
+  }
+  
+  const file = DriveApp.createFile(CHECKPOINT_CONFIG.FILE_NAME, content, 'application/json');
+  props.setProperty(CHECKPOINT_CONFIG.FILE_ID_PROPERTY, file.getId());
+  Logger.log(`🧭 Checkpoint saved to Drive file ${file.getId()}`);
+}
+
+/**
+ * Remove the checkpoint file and any pending continuation trigger
+ */
+function clearReportCheckpoint() {
+  const props = PropertiesService.getScriptProperties();
+  const fileId = props.getProperty(CHECKPOINT_CONFIG.FILE_ID_PROPERTY);
+  if (fileId) {
+    try {
+      DriveApp.getFileById(fileId).setTrashed(true);
+    } catch (error) {
+      Logger.log(`⚠️ Could not trash checkpoint file ${fileId}: ${error.message}`);
+    }
+    props.deleteProperty(CHECKPOINT_CONFIG.FILE_ID_PROPERTY);
   }
+  deleteReportContinuationTrigger();
+}
+
+/**
+ * Schedule a one-off trigger that calls generateQuantiveReport again to continue the run
+ */
+function scheduleReportContinuation() {
+  deleteReportContinuationTrigger();
+  const trigger = ScriptApp.newTrigger('generateQuantiveReport')
+    .timeBased()
+    .after(CHECKPOINT_CONFIG.CONTINUATION_DELAY_MS)
+    .create();
+  PropertiesService.getScriptProperties().setProperty(CHECKPOINT_CONFIG.TRIGGER_ID_PROPERTY, trigger.getUniqueId());
+  Logger.log(`⏰ Continuation scheduled in ${CHECKPOINT_CONFIG.CONTINUATION_DELAY_MS / 1000} seconds`);
+}
+
+/**
+ * Delete the continuation trigger created by scheduleReportContinuation (the weekly trigger is left alone)
+ */
+function deleteReportContinuationTrigger() {
+  const props = PropertiesService.getScriptProperties();
+  const triggerId = props.getProperty(CHECKPOINT_CONFIG.TRIGGER_ID_PROPERTY);
+  if (!triggerId) return;
+  
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getUniqueId() === triggerId)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  props.deleteProperty(CHECKPOINT_CONFIG.TRIGGER_ID_PROPERTY);
 }
 
 /**
@@ -1276,7 +3666,7 @@ function fetchSessionDataSequential(config) {
       const sessionUrl = `${config.baseUrl}/sessions/${session.id}`;
       Logger.log(`🔍 Fetching session details from: ${sessionUrl}`);
       
-      const sessionResponse = UrlFetchApp.fetch(sessionUrl, { headers });
+      const sessionResponse = BatchProcessor.fetchWithRetry(sessionUrl, { headers }, config);
       const sessionResponseText = sessionResponse.getContentText();
       
       // Check if response is HTML (error page)
@@ -1288,34 +3678,8 @@ function fetchSessionDataSequential(config) {
       const sessionDetail = JSON.parse(sessionResponseText);
       sessionDetails.push(sessionDetail);
       
-      // Fetch objectives for this session
-      const objectivesUrl = `${config.baseUrl}/goals?sessionId=${session.id}`;
-      Logger.log(`🎯 Fetching objectives from: ${objectivesUrl}`);
-      
-      const objectivesResponse = UrlFetchApp.fetch(objectivesUrl, { headers });
-      const objectivesResponseText = objectivesResponse.getContentText();
-      
-      // Check if response is HTML (error page)
-      if (objectivesResponseText.trim().startsWith('<!DOCTYPE') || objectivesResponseText.trim().startsWith('<html')) {
-        Logger.log(`❌ Received HTML error page for objectives in session ${session.id}. Response: ${objectivesResponseText.substring(0, 500)}...`);
-        throw new Error(`API returned HTML error page when fetching objectives for session "${session.name}". Check your API token permissions.`);
-      }
-      
-      const objectivesData = JSON.parse(objectivesResponseText);
-      
-      // Handle different response formats for objectives (goals)
-      let sessionObjectives;
-      if (Array.isArray(objectivesData)) {
-        sessionObjectives = objectivesData;
-      } else if (objectivesData.items && Array.isArray(objectivesData.items)) {
-        sessionObjectives = objectivesData.items;
-      } else if (objectivesData.goals && Array.isArray(objectivesData.goals)) {
-        sessionObjectives = objectivesData.goals;
-      } else if (objectivesData.objectives && Array.isArray(objectivesData.objectives)) {
-        sessionObjectives = objectivesData.objectives;
-      } else {
-        sessionObjectives = objectivesData; // fallback
-      }
+      // Fetch objectives for this session (all pages)
+      const sessionObjectives = fetchSessionObjectives(session.id, config);
       
       // Add session context to each objective
       sessionObjectives.forEach(obj => {
@@ -1352,6 +3716,7 @@ function fetchSessionDataSequential(config) {
   // Fetch key results individually per objective (across all sessions)
   Logger.log(`🔑 Fetching key results individually for each objective...`);
   
+  const failedGoalIds = [];
   for (const objective of allObjectives) {
     let keyResults = [];
     
@@ -1360,10 +3725,10 @@ function fetchSessionDataSequential(config) {
       const goalUrl = `${config.baseUrl}/goals/${objective.id}`;
       Logger.log(`🎯 Fetching goal details from: ${goalUrl}`);
       
-      const goalResponse = UrlFetchApp.fetch(goalUrl, { 
+      const goalResponse = BatchProcessor.fetchWithRetry(goalUrl, { 
         headers: headers,
         muteHttpExceptions: true 
-      });
+      }, config);
       const goalResponseText = goalResponse.getContentText();
       const goalResponseCode = goalResponse.getResponseCode();
       
@@ -1378,6 +3743,8 @@ function fetchSessionDataSequential(config) {
           objective.description = goalData.description || objective.description || '';
           objective.progress = Math.round((goalData.attainment || 0) * 100); // attainment is 0-1, convert to percentage
           objective.status = goalData.closedStatus || objective.status;
+          objective.tags = goalData.tags || objective.tags || [];
+          if (goalData.weight !== undefined) objective.weight = goalData.weight;
           
           // Extract owner information - try embedded first, then fetch user display name
           if (goalData.assignee && typeof goalData.assignee === 'object') {
@@ -1390,6 +3757,7 @@ function fetchSessionDataSequential(config) {
           } else {
             objective.ownerName = 'Unassigned';
           }
+          applyOwnerDirectoryFields(objective);
           
           // Ensure session information is preserved (sessionId exists in the response)
           if (goalData.sessionId) {
@@ -1399,8 +3767,10 @@ function fetchSessionDataSequential(config) {
           Logger.log(`📊 Updated objective "${objective.name}" - Progress: ${objective.progress}%, Owner: ${objective.ownerName}, Status: ${objective.status}`);
           
           // Fetch progress history and generate sparkline for objective
-          objective.progressHistory = fetchProgressHistory(objective.id, config);
-          objective.sparkline = generateSparkline(objective.progressHistory);
+          objective.progressHistory = !config.skipProgressHistory && isWithinHistoryTimeBudget(config)
+            ? fetchProgressHistory(objective.id, config)
+            : [];
+          objective.sparkline = generateSparkline(objective.progressHistory, config);
           
           // Extract metrics from the correct field name
           if (goalData.metrics && Array.isArray(goalData.metrics)) {
@@ -1412,14 +3782,19 @@ function fetchSessionDataSequential(config) {
           }
         } catch (parseError) {
           Logger.log(`❌ JSON parse error for goal ${objective.id}: ${parseError.message}`);
+          failedGoalIds.push(objective.id);
           keyResults = [];
         }
       } else {
         Logger.log(`⚠️ Invalid response from goal endpoint (code: ${goalResponseCode}) for objective: ${objective.name}`);
+        // HTTP error codes were already counted by the retry path; count HTML error pages here
+        if (goalResponseCode < 400) BatchProcessor.recordHttpError(goalResponseCode);
+        failedGoalIds.push(objective.id);
         keyResults = [];
       }
     } catch (error) {
       Logger.log(`⚠️ Could not fetch goal details for objective ${objective.id}: ${error.message}`);
+      failedGoalIds.push(objective.id);
       keyResults = [];
     }
     
@@ -1448,75 +3823,391 @@ function fetchSessionDataSequential(config) {
       } else if (!kr.ownerName) {
         kr.ownerName = kr.objectiveOwner || 'Unassigned'; // Fallback to objective owner
       }
+      applyOwnerDirectoryFields(kr);
       
       // Check if this key result has tasks before fetching
       const taskCount = kr.taskCount || kr.tasksCount || 0;
-      if (taskCount > 0) {
-        kr.tasks = fetchTasksForMetric(kr.id, config);
+      if (config.includeTasks && taskCount > 0) {
+        kr.tasks = filterTasksByStatus(fetchTasksForMetric(kr.id, config), config);
       } else {
         kr.tasks = [];
       }
       
       // Fetch progress history and generate sparkline
-      kr.progressHistory = fetchProgressHistory(kr.id, config);
-      kr.sparkline = generateSparkline(kr.progressHistory);
+      kr.progressHistory = !config.skipKrProgressHistory && isWithinHistoryTimeBudget(config)
+        ? fetchProgressHistory(kr.id, config)
+        : [];
+      kr.sparkline = generateSparkline(kr.progressHistory, config);
+    }
+    
+    allKeyResults.push(...keyResults);
+  }
+  
+  // Summary logging
+  Logger.log(`📊 Summary: Processed ${allKeyResults.length} total key results for ${allObjectives.length} objectives`);
+  
+  // PERFORMANCE OPTIMIZATION: Create Map for O(1) lookups instead of O(n) filter operations
+  const keyResultsByGoalId = new Map();
+  allKeyResults.forEach(kr => {
+    if (!keyResultsByGoalId.has(kr.goalId)) {
+      keyResultsByGoalId.set(kr.goalId, []);
+    }
+    keyResultsByGoalId.get(kr.goalId).push(kr);
+  });
+  
+  allObjectives.forEach((obj, idx) => {
+    const objKRs = keyResultsByGoalId.get(obj.id) || [];
+    Logger.log(`   Objective ${idx + 1}: "${obj.name}" (ID: ${obj.id}) → ${objKRs.length} key results`);
+    if (objKRs.length === 0) {
+      // Debug why this objective has no key results
+      Logger.log(`     ⚠️ No key results found with goalId matching ${obj.id}`);
+      const allGoalIds = allKeyResults.map(kr => kr.goalId).filter(Boolean);
+      if (allGoalIds.length > 0) {
+        Logger.log(`     Available goalIds in key results: ${[...new Set(allGoalIds)].join(', ')}`);
+      }
+    }
+  });
+  
+  // Debug any unassociated key results (KRs without a matching objective)
+  const unassociatedKRs = findOrphanedKeyResults(allObjectives, allKeyResults);
+  if (unassociatedKRs.length > 0) {
+    Logger.log(`⚠️ Found ${unassociatedKRs.length} key results with goalId not matching any objective:`);
+    unassociatedKRs.forEach(kr => {
+      Logger.log(`   - "${kr.name}" (goalId: ${kr.goalId})`);
+    });
+  }
+  
+  // Roll up objective progress, apply the FILTER expression and build objective hierarchy (across all sessions)
+  applyProgressRollup(allObjectives, allKeyResults, config);
+  const { objectives, keyResults } = applyReportFilter(allObjectives, allKeyResults, config);
+  const hierarchicalObjectives = buildObjectiveHierarchy(objectives);
+  
+  return {
+    sessions: sessionDetails, // Array of session details
+    objectives, // Keep original flat list for backward compatibility
+    hierarchicalObjectives: hierarchicalObjectives, // New hierarchical structure
+    keyResults,
+    // Summary stats for multi-session report
+    sessionCount: sessions.length,
+    sessionNames: sessions.map(s => s.name || s.title).join(', '),
+    // Users resolved individually fall back to "User <id>" when the lookup fails
+    diagnostics: buildRunDiagnostics(
+      failedGoalIds,
+      Object.keys(USER_NAME_CACHE).filter(id => USER_NAME_CACHE[id] === `User ${id}`),
+      unassociatedKRs
+    )
+  };
+}
+
+/**
+ * Find key results whose goalId does not match any fetched objective
+ */
+function findOrphanedKeyResults(objectives, keyResults) {
+  const objectiveIds = new Set(objectives.map(obj => obj.id));
+  return keyResults.filter(kr => kr.goalId && !objectiveIds.has(kr.goalId));
+}
+
+/**
+ * Assemble the run diagnostics rendered in the "Data Quality" section of each report
+ * HTTP error counts and dropped requests come from BatchProcessor's per-run state
+ */
+function buildRunDiagnostics(failedGoalIds, unresolvedUserIds, orphanedKeyResults) {
+  const { httpErrorCounts, droppedRequests } = BatchProcessor.runState;
+  const diagnostics = {
+    failedGoalIds: failedGoalIds.slice(),
+    unresolvedUserIds: unresolvedUserIds.slice(),
+    orphanedKeyResults: orphanedKeyResults.map(kr => ({ id: kr.id, name: kr.name, goalId: kr.goalId })),
+    httpErrorCounts: { ...httpErrorCounts },
+    droppedRequests: droppedRequests.slice()
+  };
+  diagnostics.issueCount = diagnostics.failedGoalIds.length + diagnostics.unresolvedUserIds.length +
+    diagnostics.orphanedKeyResults.length + diagnostics.droppedRequests.length;
+  
+  if (diagnostics.issueCount > 0) {
+    Logger.log(`⚠️ Data quality: ${diagnostics.failedGoalIds.length} objectives without details, ${diagnostics.unresolvedUserIds.length} unresolved users, ${diagnostics.orphanedKeyResults.length} orphaned key results, ${diagnostics.droppedRequests.length} dropped requests`);
+  }
+  return diagnostics;
+}
+
+/**
+ * Label/value pairs for the "Data Quality" section shared by the Google Doc and markdown renderers
+ */
+function getDataQualityItems(diagnostics) {
+  const listIds = (ids) => {
+    const shown = ids.slice(0, 10).join(', ');
+    return ids.length > 10 ? `${shown} (+${ids.length - 10} more)` : shown;
+  };
+  const countWithIds = (ids) => ids.length > 0 ? `${ids.length} (${listIds(ids)})` : '0';
+  
+  const httpErrors = Object.entries(diagnostics.httpErrorCounts || {})
+    .map(([status, count]) => `${status} ×${count}`)
+    .join(', ');
+  
+  return [
+    ['Status', diagnostics.issueCount > 0 ? `Incomplete (${diagnostics.issueCount} issues)` : 'Complete'],
+    ['Objectives without details', countWithIds(diagnostics.failedGoalIds)],
+    ['Unresolved users', countWithIds(diagnostics.unresolvedUserIds)],
+    ['Orphaned key results', countWithIds(diagnostics.orphanedKeyResults.map(kr => `"${kr.name}" (goalId: ${kr.goalId})`))],
+    ['Requests dropped after retries', `${diagnostics.droppedRequests.length}`],
+    ['HTTP errors', httpErrors || 'None']
+  ];
+}
+
+/**
+ * Fields available in FILTER expressions and their value type
+ */
+const REPORT_FILTER_FIELDS = {
+  owner: 'text',
+  team: 'text',
+  status: 'text',
+  name: 'text',
+  tags: 'text',
+  progress: 'number',
+  level: 'number'
+};
+
+/**
+ * Split a FILTER expression into string, number, operator and word tokens
+ */
+function tokenizeReportFilter(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)|(<=|>=|!=|==|=|<|>|\(|\)|\[|\]|,)|([A-Za-z_][\w-]*))/y;
+  let position = 0;
+  
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(`unexpected character at position ${position + 1}`);
+    }
+    position = pattern.lastIndex;
+    
+    if (match[1] !== undefined || match[2] !== undefined) {
+      tokens.push({ type: 'string', value: (match[1] !== undefined ? match[1] : match[2]).replace(/\\(.)/g, '$1') });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[3]) });
+    } else if (match[4] !== undefined) {
+      tokens.push({ type: 'op', value: match[4] === '==' ? '=' : match[4] });
+    } else {
+      tokens.push({ type: 'word', value: match[5].toLowerCase(), raw: match[5] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a FILTER expression into a condition tree
+ * Grammar: expr := and ('or' and)* ; and := not ('and' not)* ; not := 'not' not | '(' expr ')' | comparison
+ * Comparisons: field (=|!=|<|<=|>|>=) value, field [not] in [v1, v2], field [not] contains "text",
+ * field between low and high. Throws with a readable message on invalid input.
+ */
+function parseReportFilter(expression) {
+  const tokens = tokenizeReportFilter(expression);
+  let index = 0;
+  
+  const peek = () => tokens[index];
+  const isWord = (word) => peek() && peek().type === 'word' && peek().value === word;
+  const isOp = (op) => peek() && peek().type === 'op' && peek().value === op;
+  const describe = (token) => (token ? `"${token.raw || token.value}"` : 'end of expression');
+  const expectOp = (op) => {
+    if (!isOp(op)) throw new Error(`expected "${op}" but found ${describe(peek())}`);
+    index++;
+  };
+  
+  const parseValue = (field) => {
+    const token = tokens[index++];
+    const type = REPORT_FILTER_FIELDS[field];
+    if (type === 'number') {
+      if (!token || token.type !== 'number') throw new Error(`${field} needs a number, found ${describe(token)}`);
+      return token.value;
+    }
+    if (token && (token.type === 'string' || token.type === 'number')) return String(token.value);
+    if (token && token.type === 'word' && !['and', 'or', 'not', 'in', 'contains', 'between'].includes(token.value)) return token.raw;
+    throw new Error(`${field} needs a value, found ${describe(token)}`);
+  };
+  
+  const parseList = (field) => {
+    expectOp('[');
+    const values = [];
+    while (!isOp(']')) {
+      values.push(parseValue(field));
+      if (!isOp(']')) expectOp(',');
+    }
+    expectOp(']');
+    return values;
+  };
+  
+  const parseComparison = () => {
+    const fieldToken = tokens[index++];
+    if (!fieldToken || fieldToken.type !== 'word' || !REPORT_FILTER_FIELDS[fieldToken.value]) {
+      throw new Error(`unknown field ${describe(fieldToken)} (use ${Object.keys(REPORT_FILTER_FIELDS).join(', ')})`);
+    }
+    const field = fieldToken.value;
+    const numeric = REPORT_FILTER_FIELDS[field] === 'number';
+    
+    let negate = false;
+    if (isWord('not')) {
+      negate = true;
+      index++;
     }
     
-    allKeyResults.push(...keyResults);
-  }
+    let condition;
+    if (isWord('in')) {
+      index++;
+      condition = { type: 'compare', field, op: 'in', value: parseList(field) };
+    } else if (isWord('contains') && !numeric) {
+      index++;
+      condition = { type: 'compare', field, op: 'contains', value: parseValue(field) };
+    } else if (isWord('between') && numeric && !negate) {
+      index++;
+      const low = parseValue(field);
+      if (!isWord('and')) throw new Error(`expected "and" in ${field} between, found ${describe(peek())}`);
+      index++;
+      condition = { type: 'compare', field, op: 'between', value: [low, parseValue(field)] };
+    } else if (!negate && peek() && peek().type === 'op' && ['=', '!=', '<', '<=', '>', '>='].includes(peek().value)) {
+      const op = tokens[index++].value;
+      if (!numeric && !['=', '!='].includes(op)) throw new Error(`${field} only supports =, !=, in and contains`);
+      condition = { type: 'compare', field, op, value: parseValue(field) };
+    } else {
+      throw new Error(`unsupported operator ${describe(peek())} after ${field}`);
+    }
+    return negate ? { type: 'not', condition } : condition;
+  };
   
-  // Summary logging
-  Logger.log(`📊 Summary: Processed ${allKeyResults.length} total key results for ${allObjectives.length} objectives`);
+  const parseNot = () => {
+    if (isWord('not')) {
+      index++;
+      return { type: 'not', condition: parseNot() };
+    }
+    if (isOp('(')) {
+      index++;
+      const condition = parseOr();
+      expectOp(')');
+      return condition;
+    }
+    return parseComparison();
+  };
   
-  // PERFORMANCE OPTIMIZATION: Create Map for O(1) lookups instead of O(n) filter operations
-  const keyResultsByGoalId = new Map();
-  allKeyResults.forEach(kr => {
-    if (!keyResultsByGoalId.has(kr.goalId)) {
-      keyResultsByGoalId.set(kr.goalId, []);
+  const parseAnd = () => {
+    const conditions = [parseNot()];
+    while (isWord('and')) {
+      index++;
+      conditions.push(parseNot());
     }
-    keyResultsByGoalId.get(kr.goalId).push(kr);
-  });
+    return conditions.length === 1 ? conditions[0] : { type: 'and', conditions };
+  };
   
-  allObjectives.forEach((obj, idx) => {
-    const objKRs = keyResultsByGoalId.get(obj.id) || [];
-    Logger.log(`   Objective ${idx + 1}: "${obj.name}" (ID: ${obj.id}) → ${objKRs.length} key results`);
-    if (objKRs.length === 0) {
-      // Debug why this objective has no key results
-      Logger.log(`     ⚠️ No key results found with goalId matching ${obj.id}`);
-      const allGoalIds = allKeyResults.map(kr => kr.goalId).filter(Boolean);
-      if (allGoalIds.length > 0) {
-        Logger.log(`     Available goalIds in key results: ${[...new Set(allGoalIds)].join(', ')}`);
-      }
+  const parseOr = () => {
+    const conditions = [parseAnd()];
+    while (isWord('or')) {
+      index++;
+      conditions.push(parseAnd());
     }
+    return conditions.length === 1 ? conditions[0] : { type: 'or', conditions };
+  };
+  
+  if (tokens.length === 0) throw new Error('expression is empty');
+  const tree = parseOr();
+  if (index < tokens.length) throw new Error(`unexpected ${describe(peek())}`);
+  return tree;
+}
+
+/**
+ * Evaluate a parsed filter against an item's field values
+ * Each field maps to an array of values; list fields (team, tags) match when any value does
+ */
+function evaluateReportFilter(condition, fieldValues) {
+  switch (condition.type) {
+    case 'and': return condition.conditions.every(c => evaluateReportFilter(c, fieldValues));
+    case 'or': return condition.conditions.some(c => evaluateReportFilter(c, fieldValues));
+    case 'not': return !evaluateReportFilter(condition.condition, fieldValues);
+  }
+  
+  const numeric = REPORT_FILTER_FIELDS[condition.field] === 'number';
+  const normalize = (value) => (numeric ? Number(value) : String(value).toLowerCase());
+  const values = (fieldValues[condition.field] || []).filter(v => v !== null && v !== undefined).map(normalize);
+  const target = Array.isArray(condition.value) ? condition.value.map(normalize) : normalize(condition.value);
+  
+  switch (condition.op) {
+    case '=': return values.some(v => v === target);
+    case '!=': return !values.some(v => v === target);
+    case '<': return values.some(v => v < target);
+    case '<=': return values.some(v => v <= target);
+    case '>': return values.some(v => v > target);
+    case '>=': return values.some(v => v >= target);
+    case 'in': return values.some(v => target.includes(v));
+    case 'contains': return values.some(v => v.includes(target));
+    case 'between': return values.some(v => v >= target[0] && v <= target[1]);
+    default: return false;
+  }
+}
+
+/**
+ * Hierarchy level (0 = root) of each objective, using the same parent field as buildObjectiveHierarchy
+ */
+function computeObjectiveLevels(objectives) {
+  const hierarchyField = detectHierarchyField(objectives);
+  const objectiveMap = new Map(objectives.map(obj => [obj.id, obj]));
+  const levels = {};
+  
+  const levelOf = (obj, visited) => {
+    if (levels[obj.id] !== undefined) return levels[obj.id];
+    visited.add(obj.id);
+    const parent = hierarchyField ? objectiveMap.get(obj[hierarchyField]) : null;
+    levels[obj.id] = parent && !visited.has(parent.id) ? levelOf(parent, visited) + 1 : 0;
+    return levels[obj.id];
+  };
+  
+  objectives.forEach(obj => levelOf(obj, new Set()));
+  return levels;
+}
+
+/**
+ * Tag names from a goal or metric (tags may be strings or objects)
+ */
+function getTagNames(item) {
+  return (Array.isArray(item.tags) ? item.tags : [])
+    .map(tag => (typeof tag === 'string' ? tag : tag && (tag.title || tag.name)))
+    .filter(Boolean);
+}
+
+/**
+ * Apply the FILTER expression to fetched objectives and key results
+ * An objective is kept when it matches or any of its key results match; a key result is kept
+ * when it matches or its objective matched. Key results use their objective's hierarchy level.
+ */
+function applyReportFilter(objectives, keyResults, config) {
+  if (!config.filter) return { objectives, keyResults };
+  
+  const levels = computeObjectiveLevels(objectives);
+  const keyResultsByGoal = {};
+  keyResults.forEach(kr => {
+    (keyResultsByGoal[kr.goalId] = keyResultsByGoal[kr.goalId] || []).push(kr);
   });
   
-  // Debug any unassociated key results (KRs without a matching objective)
-  const objectiveIds = new Set(allObjectives.map(obj => obj.id));
-  const unassociatedKRs = [];
-  keyResultsByGoalId.forEach((krs, goalId) => {
-    if (goalId && !objectiveIds.has(goalId)) {
-      unassociatedKRs.push(...krs);
-    }
+  const fieldValues = (item, progress, level) => ({
+    owner: [item.ownerName],
+    team: item.ownerTeams || [],
+    status: [item.status],
+    name: [item.name || item.title],
+    tags: getTagNames(item),
+    progress: [progress],
+    level: [level]
   });
-  if (unassociatedKRs.length > 0) {
-    Logger.log(`⚠️ Found ${unassociatedKRs.length} key results with goalId not matching any objective:`);
-    unassociatedKRs.forEach(kr => {
-      Logger.log(`   - "${kr.name}" (goalId: ${kr.goalId})`);
-    });
-  }
   
-  // Build objective hierarchy (across all sessions)
-  const hierarchicalObjectives = buildObjectiveHierarchy(allObjectives);
+  const matchedObjectiveIds = new Set(objectives
+    .filter(obj => evaluateReportFilter(config.filter,
+      fieldValues(obj, calculateObjectiveProgress(obj, keyResultsByGoal[obj.id] || []), levels[obj.id])))
+    .map(obj => obj.id));
   
-  return {
-    sessions: sessionDetails, // Array of session details
-    objectives: allObjectives, // Keep original flat list for backward compatibility
-    hierarchicalObjectives: hierarchicalObjectives, // New hierarchical structure
-    keyResults: allKeyResults,
-    // Summary stats for multi-session report
-    sessionCount: sessions.length,
-    sessionNames: sessions.map(s => s.name || s.title).join(', ')
-  };
+  const filteredKeyResults = keyResults.filter(kr => matchedObjectiveIds.has(kr.goalId) ||
+    evaluateReportFilter(config.filter, fieldValues(kr, getKeyResultProgress(kr), levels[kr.goalId] || 0)));
+  const goalIdsWithKeyResults = new Set(filteredKeyResults.map(kr => kr.goalId));
+  const filteredObjectives = objectives.filter(obj => matchedObjectiveIds.has(obj.id) || goalIdsWithKeyResults.has(obj.id));
+  
+  Logger.log(`🔎 FILTER kept ${filteredObjectives.length}/${objectives.length} objectives and ${filteredKeyResults.length}/${keyResults.length} key results`);
+  return { objectives: filteredObjectives, keyResults: filteredKeyResults };
 }
 
 /**
@@ -1661,15 +4352,413 @@ function detectHierarchyField(objectives) {
   return null;
 }
 
+/**
+ * Progress of a single key result as a 0-100 percentage
+ */
+function getKeyResultProgress(kr) {
+  return kr.progress || kr.attainment * 100 || 0;
+}
+
+/**
+ * Rollup weight of a key result or objective (API weight, default 1)
+ */
+function getRollupWeight(item) {
+  const weight = Number(item.weight);
+  return item.weight !== undefined && item.weight !== null && isFinite(weight) && weight >= 0 ? weight : 1;
+}
+
+/**
+ * Combine contributor progress values ({progress, weight}) under a rollup strategy
+ * Falls back to a plain average when every weight is zero
+ */
+function combineRollupProgress(contributors, strategy) {
+  if (contributors.length === 0) return null;
+  const totalWeight = contributors.reduce((sum, c) => sum + c.weight, 0);
+  if (strategy === 'weighted' && totalWeight > 0) {
+    return contributors.reduce((sum, c) => sum + c.progress * c.weight, 0) / totalWeight;
+  }
+  return contributors.reduce((sum, c) => sum + c.progress, 0) / contributors.length;
+}
+
+/**
+ * Rollup engine: progress of every objective under ROLLUP_STRATEGY
+ *  - attainment: the objective's own attainment reported by the API
+ *  - average: plain average of its key results
+ *  - weighted: average of its key results weighted by their API weight
+ * With ROLLUP_CHILD_OBJECTIVES, each child objective counts as one more contributor to its parent
+ * (weighted by the child's own weight). Objectives without contributors keep their API attainment.
+ * Stores the result as rollupProgress on each objective so all renderers and stats agree.
+ */
+function applyProgressRollup(objectives, keyResults, config) {
+  const strategy = config.rollupStrategy || 'average';
+  const hierarchyField = config.rollupChildObjectives ? detectHierarchyField(objectives) : null;
+  
+  const keyResultsByGoal = new Map();
+  keyResults.forEach(kr => {
+    if (!keyResultsByGoal.has(kr.goalId)) keyResultsByGoal.set(kr.goalId, []);
+    keyResultsByGoal.get(kr.goalId).push(kr);
+  });
+  const childrenByParent = new Map();
+  if (hierarchyField) {
+    objectives.forEach(obj => {
+      const parentId = obj[hierarchyField];
+      if (!parentId) return;
+      if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+      childrenByParent.get(parentId).push(obj);
+    });
+  }
+  
+  const rollup = (objective, visiting) => {
+    if (objective.rollupProgress !== undefined) return objective.rollupProgress;
+    visiting.add(objective.id);
+    let progress = null;
+    if (strategy !== 'attainment') {
+      const contributors = (keyResultsByGoal.get(objective.id) || [])
+        .map(kr => ({ progress: getKeyResultProgress(kr), weight: getRollupWeight(kr) }));
+      (childrenByParent.get(objective.id) || [])
+        .filter(child => !visiting.has(child.id))
+        .forEach(child => contributors.push({ progress: rollup(child, visiting), weight: getRollupWeight(child) }));
+      progress = combineRollupProgress(contributors, strategy);
+    }
+    visiting.delete(objective.id);
+    objective.rollupProgress = Math.round(progress !== null ? progress : objective.progress || 0);
+    return objective.rollupProgress;
+  };
+  
+  objectives.forEach(obj => { delete obj.rollupProgress; });
+  objectives.forEach(obj => rollup(obj, new Set()));
+  Logger.log(`🧮 Rolled up progress for ${objectives.length} objectives (strategy: ${strategy}${hierarchyField ? ', including child objectives' : ''})`);
+}
+
+/**
+ * Progress of an objective as shown in reports
+ * Uses the rollup engine result; objectives that did not go through it get the plain key result average
+ */
+function calculateObjectiveProgress(objective, objKeyResults) {
+  if (objective.rollupProgress !== undefined) return objective.rollupProgress;
+  return objKeyResults.length > 0
+    ? Math.round(objKeyResults.reduce((sum, kr) => sum + getKeyResultProgress(kr), 0) / objKeyResults.length)
+    : objective.progress || 0;
+}
+
+/**
+ * Overall report progress under the configured rollup
+ * Key-result based (average or weighted) unless objectives roll up attainment or child objectives,
+ * in which case it is the average of the top-level objectives
+ */
+function calculateOverallProgress(data, config) {
+  const strategy = config.rollupStrategy || 'average';
+  if (strategy === 'attainment' || config.rollupChildObjectives) {
+    const roots = data.hierarchicalObjectives
+      ? data.hierarchicalObjectives.filter(obj => (obj.level || 0) === 0)
+      : data.objectives;
+    const progress = combineRollupProgress(roots.map(obj => ({ progress: calculateObjectiveProgress(obj, []), weight: 1 })), 'average');
+    return progress !== null ? Math.round(progress) : 0;
+  }
+  const progress = combineRollupProgress(data.keyResults.map(kr => ({ progress: getKeyResultProgress(kr), weight: getRollupWeight(kr) })), strategy);
+  return progress !== null ? Math.round(progress) : 0;
+}
+
+/**
+ * Objective name as compared across sessions (case and whitespace insensitive)
+ */
+function normalizeObjectiveName(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compare the report's sessions as consecutive periods (COMPARE_SESSIONS)
+ * Periods are ordered by session start date, or kept in SESSIONS order when a session has no dates.
+ * An objective continues one from an earlier period when its parent is that objective, or else when
+ * the names match; each earlier objective is continued at most once per period. The chains of
+ * matched objectives ("tracks") are classified as carried over, dropped, completed or new, and each
+ * track is listed under at most one of carriedOver, dropped and added.
+ * Returns null with fewer than two sessions.
+ */
+function calculateSessionComparison(data, config) {
+  if (data.sessions.length < 2) return null;
+  
+  const hierarchyField = detectHierarchyField(data.objectives);
+  const keyResultsByGoal = new Map();
+  data.keyResults.forEach(kr => {
+    if (!keyResultsByGoal.has(kr.goalId)) keyResultsByGoal.set(kr.goalId, []);
+    keyResultsByGoal.get(kr.goalId).push(kr);
+  });
+  
+  const timeframes = data.sessions.map(getSessionTimeframe);
+  const sessions = timeframes.every(Boolean)
+    ? data.sessions.map((session, i) => ({ session, start: timeframes[i].start })).sort((a, b) => a.start - b.start).map(entry => entry.session)
+    : data.sessions;
+  
+  // Attainment per period follows the configured rollup, with the period's own top-level objectives
+  const periods = sessions.map(session => {
+    const objectives = data.objectives.filter(obj => obj.sessionId === session.id);
+    const objectiveIds = new Set(objectives.map(obj => obj.id));
+    const periodData = {
+      objectives,
+      keyResults: data.keyResults.filter(kr => objectiveIds.has(kr.goalId)),
+      hierarchicalObjectives: objectives.map(obj => ({ ...obj, level: hierarchyField && objectiveIds.has(obj[hierarchyField]) ? 1 : 0 }))
+    };
+    return {
+      sessionId: session.id,
+      name: session.name || session.title || `Session ${session.id}`,
+      objectiveCount: objectives.length,
+      attainment: objectives.length > 0 ? calculateOverallProgress(periodData, config) : null,
+      objectives
+    };
+  });
+  
+  const tracks = [];
+  const lastPeriodIndex = periods.length - 1;
+  periods.forEach((period, periodIndex) => {
+    const entries = period.objectives.map(obj => ({
+      id: obj.id,
+      name: obj.name || obj.title || 'Untitled objective',
+      ownerName: obj.ownerName || 'Unassigned',
+      parentId: hierarchyField ? obj[hierarchyField] || null : null,
+      progress: calculateObjectiveProgress(obj, keyResultsByGoal.get(obj.id) || [])
+    }));
+    const openTracks = () => tracks.filter(track => track.lastPeriod < periodIndex);
+    const extend = (track, entry) => {
+      track.entries[periodIndex] = entry;
+      track.lastPeriod = periodIndex;
+      track.name = entry.name;
+      track.ownerName = entry.ownerName;
+      entry.matched = true;
+    };
+    
+    // Parent linkage first, so a renamed carry-over is not taken by a same-named objective
+    entries.forEach(entry => {
+      const track = entry.parentId && openTracks().find(t => t.entries[t.lastPeriod].id === entry.parentId);
+      if (track) extend(track, entry);
+    });
+    entries.filter(entry => !entry.matched).forEach(entry => {
+      const key = normalizeObjectiveName(entry.name);
+      const track = openTracks()
+        .filter(t => normalizeObjectiveName(t.entries[t.lastPeriod].name) === key)
+        .sort((a, b) => b.lastPeriod - a.lastPeriod)[0];
+      if (track) {
+        extend(track, entry);
+      } else {
+        const newTrack = { name: entry.name, ownerName: entry.ownerName, entries: periods.map(() => null), firstPeriod: periodIndex, lastPeriod: -1 };
+        tracks.push(newTrack);
+        extend(newTrack, entry);
+      }
+    });
+  });
+  
+  const summarized = tracks.map(track => {
+    const presentIn = track.entries.map((entry, i) => (entry ? i : -1)).filter(i => i >= 0);
+    const lastProgress = track.entries[track.lastPeriod].progress;
+    let status = 'new';
+    if (track.lastPeriod < lastPeriodIndex) {
+      status = lastProgress >= 100 ? 'completed' : 'dropped';
+    } else if (presentIn.length > 1) {
+      status = 'carried-over';
+    }
+    return {
+      name: track.name,
+      ownerName: track.ownerName,
+      status,
+      objectiveIds: track.entries.map(entry => (entry ? entry.id : null)),
+      progress: track.entries.map(entry => (entry ? entry.progress : null)),
+      firstPeriod: track.firstPeriod,
+      lastPeriod: track.lastPeriod,
+      periodCount: presentIn.length
+    };
+  });
+  
+  return {
+    periods: periods.map(({ objectives, ...period }) => period),
+    tracks: summarized,
+    carriedOver: summarized.filter(track => track.status === 'carried-over'),
+    dropped: summarized.filter(track => track.status === 'dropped'),
+    added: summarized.filter(track => track.status === 'new')
+  };
+}
+
+/**
+ * Key results not updated for more than staleDays (or never), most overdue first
+ */
+function findStaleKeyResults(keyResults, staleDays) {
+  const now = new Date();
+  return keyResults
+    .map(kr => ({
+      id: kr.id,
+      name: kr.name || 'Untitled key result',
+      ownerName: kr.ownerName || kr.objectiveOwner || 'Unassigned',
+      objectiveName: kr.objectiveName || '',
+      daysSinceUpdate: getDaysSinceUpdate(kr, now)
+    }))
+    .filter(kr => kr.daysSinceUpdate === null || kr.daysSinceUpdate > staleDays)
+    .sort((a, b) => (b.daysSinceUpdate === null ? Infinity : b.daysSinceUpdate) - (a.daysSinceUpdate === null ? Infinity : a.daysSinceUpdate));
+}
+
+/**
+ * One-line description of a stale key result for the reports
+ */
+function formatStaleKeyResult(kr) {
+  const age = kr.daysSinceUpdate === null ? 'no updates recorded' : `${kr.daysSinceUpdate} days since last update`;
+  return `${kr.name} (Owner: ${kr.ownerName} | ${age})${kr.objectiveName ? ` – Objective: ${kr.objectiveName}` : ''}`;
+}
+
+/**
+ * Start and end of a session, or null when the session details carry no usable dates
+ */
+function getSessionTimeframe(session) {
+  if (!session) return null;
+  const start = new Date(session.start || session.startDate);
+  const end = new Date(session.end || session.endDate);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) return null;
+  return { start, end };
+}
+
+/**
+ * Fetched history of a key result or objective as 0-100 progress
+ * Metric values are in the metric's own units (currency, %, counts, falling targets), so they
+ * are scaled between the start and target values; items without both get no history
+ */
+function getPercentProgressHistory(item) {
+  const start = Number(item.initialValue);
+  const target = Number(item.target);
+  const hasRange = item.initialValue !== undefined && item.initialValue !== null &&
+    item.target !== undefined && item.target !== null &&
+    isFinite(start) && isFinite(target) && start !== target;
+  if (!hasRange) return [];
+  return (item.progressHistory || []).map(entry => ({
+    date: entry.date,
+    progress: (entry.progress - start) / (target - start) * 100
+  }));
+}
+
+/**
+ * Expected progress (linear session time), projected end-of-session attainment and pace for one item
+ * The projection extrapolates the fetched progress history; without history it assumes the
+ * progress made so far was made at a steady rate since the session started
+ */
+function forecastProgress(progress, progressHistory, timeframe, now) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const totalDays = (timeframe.end - timeframe.start) / dayMs;
+  const elapsedDays = Math.min(totalDays, Math.max(0, (now - timeframe.start) / dayMs));
+  const remainingDays = totalDays - elapsedDays;
+  const expectedProgress = Math.round((elapsedDays / totalDays) * 100);
+  
+  const history = (progressHistory || [])
+    .filter(entry => entry.progress !== null && entry.progress !== undefined)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  let dailyRate = elapsedDays > 0 ? progress / elapsedDays : 0;
+  if (history.length >= 2) {
+    const first = history[0];
+    const last = history[history.length - 1];
+    const historyDays = (new Date(last.date) - new Date(first.date)) / dayMs;
+    if (historyDays > 0) {
+      dailyRate = (last.progress - first.progress) / historyDays;
+    }
+  }
+  const projectedProgress = Math.round(Math.min(100, Math.max(0, progress + dailyRate * remainingDays)));
+  
+  const gap = progress - expectedProgress;
+  const pace = gap > INTERNAL_CONFIG.PACE_TOLERANCE ? 'ahead' : gap < -INTERNAL_CONFIG.PACE_TOLERANCE ? 'behind' : 'on-pace';
+  
+  return { expectedProgress, projectedProgress, pace };
+}
+
+/**
+ * Forecasts for every objective and key result in sessions with start and end dates
+ * Objectives with key results use the average projection of their key results
+ */
+function calculateForecasts(data) {
+  const now = new Date();
+  const timeframes = {};
+  (data.sessions || []).forEach(session => {
+    const timeframe = getSessionTimeframe(session);
+    if (timeframe) timeframes[session.id] = timeframe;
+  });
+  if (Object.keys(timeframes).length === 0) return null;
+  
+  // Single-session reports do not always tag objectives with their session
+  const defaultTimeframe = data.sessions.length === 1 ? timeframes[data.sessions[0].id] : null;
+  const timeframeFor = (objective) => (objective && timeframes[objective.sessionId]) || defaultTimeframe;
+  const objectivesById = new Map(data.objectives.map(obj => [obj.id, obj]));
+  const keyResultsByGoal = new Map();
+  data.keyResults.forEach(kr => {
+    if (!keyResultsByGoal.has(kr.goalId)) keyResultsByGoal.set(kr.goalId, []);
+    keyResultsByGoal.get(kr.goalId).push(kr);
+  });
+  const paceCounts = () => ({ ahead: 0, 'on-pace': 0, behind: 0 });
+  
+  const keyResults = {};
+  const keyResultPace = paceCounts();
+  data.keyResults.forEach(kr => {
+    const timeframe = timeframeFor(objectivesById.get(kr.goalId));
+    if (!timeframe) return;
+    keyResults[kr.id] = forecastProgress(getKeyResultProgress(kr), getPercentProgressHistory(kr), timeframe, now);
+    keyResultPace[keyResults[kr.id].pace]++;
+  });
+  
+  const objectives = {};
+  const objectivePace = paceCounts();
+  data.objectives.forEach(obj => {
+    const timeframe = timeframeFor(obj);
+    if (!timeframe) return;
+    const objKeyResults = keyResultsByGoal.get(obj.id) || [];
+    const forecast = forecastProgress(calculateObjectiveProgress(obj, objKeyResults), getPercentProgressHistory(obj), timeframe, now);
+    const krForecasts = objKeyResults.map(kr => keyResults[kr.id]).filter(Boolean);
+    if (krForecasts.length > 0) {
+      forecast.projectedProgress = Math.round(krForecasts.reduce((sum, f) => sum + f.projectedProgress, 0) / krForecasts.length);
+    }
+    objectives[obj.id] = forecast;
+    objectivePace[forecast.pace]++;
+  });
+  
+  const objectiveForecasts = Object.values(objectives);
+  const average = (key) => objectiveForecasts.length > 0
+    ? Math.round(objectiveForecasts.reduce((sum, f) => sum + f[key], 0) / objectiveForecasts.length)
+    : 0;
+  
+  return {
+    expectedProgress: average('expectedProgress'),
+    projectedAttainment: average('projectedProgress'),
+    objectivePace,
+    keyResultPace,
+    objectives,
+    keyResults
+  };
+}
+
+/**
+ * Executive summary rows for the session forecast (empty when sessions have no dates)
+ */
+function getForecastSummaryItems(stats) {
+  const forecast = stats.forecast;
+  if (!forecast) return [];
+  const paceText = (counts) => `${counts.ahead} ahead, ${counts['on-pace']} on pace, ${counts.behind} behind`;
+  return [
+    ['Expected Progress', `${forecast.expectedProgress}% (share of session time elapsed)`],
+    ['Projected Attainment', `${forecast.projectedAttainment}% by session end`],
+    ['Objective Pace', paceText(forecast.objectivePace)],
+    ['Key Result Pace', paceText(forecast.keyResultPace)]
+  ];
+}
+
+/**
+ * Per-item pace text, e.g. "Behind (expected 45%, projected 70%)"
+ */
+function formatForecast(forecast) {
+  if (!forecast) return '';
+  const label = forecast.pace === 'on-pace' ? 'On pace' : forecast.pace === 'ahead' ? 'Ahead' : 'Behind';
+  return `${label} (expected ${forecast.expectedProgress}%, projected ${forecast.projectedProgress}%)`;
+}
+
 /**
  * Calculate basic statistics from the data
+ * When a previous progress snapshot is given, also computes week-over-week deltas
  */
-function calculateStats(data, config) {
+function calculateStats(data, config, previousSnapshot = null) {
   const { keyResults } = data;
   
-  // Overall progress (average of all key result progress)
-  const totalProgress = keyResults.reduce((sum, kr) => sum + (kr.progress || 0), 0);
-  const overallProgress = keyResults.length > 0 ? Math.round(totalProgress / keyResults.length) : 0;
+  // Overall progress under the configured rollup strategy
+  const overallProgress = calculateOverallProgress(data, config);
   
   // Status breakdown
   const statusCounts = {};
@@ -1687,6 +4776,8 @@ function calculateStats(data, config) {
     return new Date(kr.lastModified) > cutoffDate;
   });
   
+  const staleKeyResults = findStaleKeyResults(keyResults, config.staleDays || INTERNAL_CONFIG.STALE_DAYS);
+  
   // Calculate hierarchy statistics if hierarchical data is available
   let hierarchyStats = null;
   if (data.hierarchicalObjectives) {
@@ -1713,16 +4804,21 @@ function calculateStats(data, config) {
     totalObjectives: data.objectives.length,
     statusCounts,
     recentUpdates: recentUpdates.length,
-    hierarchyStats
+    staleKeyResults,
+    hierarchyStats,
+    forecast: calculateForecasts(data),
+    sessionComparison: config.compareSessions ? calculateSessionComparison(data, config) : null,
+    progressDeltas: previousSnapshot ? calculateProgressDeltas(data, overallProgress, previousSnapshot) : null
   };
 }
 
 /**
  * Generate a simple text sparkline from progress history
  */
-function generateSparkline(progressHistory) {
+function generateSparkline(progressHistory, config = null) {
   // PERFORMANCE OPTIMIZATION: Skip sparkline generation for speed
-  if (PERFORMANCE_MODE.SKIP_SPARKLINES) {
+  const skipSparklines = config ? config.skipSparklines : PERFORMANCE_MODE.SKIP_SPARKLINES;
+  if (skipSparklines) {
     return '—';
   }
   
@@ -1843,17 +4939,27 @@ function writeReport(docId, data, stats, config) {
   
   body.appendParagraph(''); // Empty line
   
+  // Optional "needs attention" section above the summary
+  if (config.needsAttentionAtTop) {
+    appendStaleKeyResultsSection(body, stats, 'Needs Attention');
+    body.appendParagraph(''); // Empty line
+  }
+  
   // Summary section
   body.appendParagraph('Executive Summary').setHeading(DocumentApp.ParagraphHeading.HEADING2);
   
   body.appendParagraph(''); // Empty line
   
   // Create bullet points with bold labels
+  const deltas = stats.progressDeltas;
+  const overallDelta = deltas ? formatProgressDelta(deltas.overall) : '';
   const summaryData = [
-    ['Overall Progress', `${stats.overallProgress}%`],
+    ['Overall Progress', `${stats.overallProgress}%${overallDelta ? ` (${overallDelta})` : ''}`],
     ['Total Objectives', `${stats.totalObjectives}`],
     ['Total Key Results', `${stats.totalKeyResults}`],
-    ['Recent Updates', `${stats.recentUpdates} (last ${config.lookbackDays} days)`]
+    ['Recent Updates', `${stats.recentUpdates} (last ${config.lookbackDays} days)`],
+    ['Stale Key Results', `${stats.staleKeyResults.length} (no update in ${config.staleDays} days)`],
+    ...getForecastSummaryItems(stats)
   ];
   
   // Add hierarchy information if available
@@ -1947,6 +5053,14 @@ function writeReport(docId, data, stats, config) {
   
   body.appendParagraph(''); // Empty line
   
+  if (stats.sessionComparison) {
+    appendSessionComparisonSection(body, stats.sessionComparison);
+    body.appendParagraph(''); // Empty line
+    const hrComparisonParagraph = body.appendParagraph('_______________________________________________________________________________');
+    hrComparisonParagraph.setForegroundColor('#cccccc');
+    body.appendParagraph(''); // Empty line
+  }
+  
   // Objectives list - using hierarchical structure
   body.appendParagraph('Objectives & Key Results').setHeading(DocumentApp.ParagraphHeading.HEADING2);
   
@@ -1968,9 +5082,7 @@ function writeReport(docId, data, stats, config) {
     // PERFORMANCE OPTIMIZATION: Use Map lookup O(1) instead of filter O(n)
     const objKeyResults = keyResultsByGoal.get(objective.id) || [];
     
-    const objProgress = objKeyResults.length > 0 
-      ? Math.round(objKeyResults.reduce((sum, kr) => sum + (kr.progress || 0), 0) / objKeyResults.length)
-      : objective.progress || 0;
+    const objProgress = calculateObjectiveProgress(objective, objKeyResults);
     
     // Create objective as H3 heading
     const objHeading = body.appendParagraph(objective.name);
@@ -1987,10 +5099,19 @@ function writeReport(docId, data, stats, config) {
       sessionItem.editAsText().setBold(0, 6, true); // Make "Session:" bold
     }
     
-    const progressItem = body.appendListItem(`Progress: ${objProgress}%`);
+    const objDelta = deltas ? formatProgressDelta(deltas.objectives[objective.id]) : '';
+    const progressItem = body.appendListItem(`Progress: ${objProgress}%${objDelta ? ` (${objDelta})` : ''}`);
     progressItem.setGlyphType(DocumentApp.GlyphType.BULLET);
     progressItem.editAsText().setBold(0, 7, true); // Make "Progress:" bold
     
+    const objForecast = stats.forecast ? stats.forecast.objectives[objective.id] : null;
+    if (objForecast) {
+      const paceItem = body.appendListItem(`Pace: ${formatForecast(objForecast)}`);
+      paceItem.setGlyphType(DocumentApp.GlyphType.BULLET);
+      paceItem.editAsText().setBold(0, 4, true); // Make "Pace:" bold
+      if (objForecast.pace === 'behind') paceItem.setForegroundColor(STATUS_COLORS.behind);
+    }
+    
     // Add description if available
     if (objective.description && objective.description.trim()) {
       const descriptionItem = body.appendListItem(`Description: ${objective.description}`);
@@ -2005,7 +5126,7 @@ function writeReport(docId, data, stats, config) {
       keyResultsItem.editAsText().setBold(0, 10, true); // Make "Key Results:" bold
       
       objKeyResults.forEach((kr, krIndex) => {
-        const krProgress = kr.progress || kr.attainment * 100 || 0;
+        const krProgress = getKeyResultProgress(kr);
         const krOwner = kr.ownerName || kr.objectiveOwner || 'Unassigned';
         
         // Key Result as nested bullet
@@ -2029,6 +5150,24 @@ function writeReport(docId, data, stats, config) {
         krProgressItem.setNestingLevel(2);
         krProgressItem.editAsText().setBold(0, 7, true); // Make "Progress:" bold
         
+        // KR pace against the session timeline
+        const krForecast = stats.forecast ? stats.forecast.keyResults[kr.id] : null;
+        if (krForecast) {
+          const krPaceItem = body.appendListItem(`Pace: ${formatForecast(krForecast)}`);
+          krPaceItem.setGlyphType(DocumentApp.GlyphType.BULLET);
+          krPaceItem.setNestingLevel(2);
+          krPaceItem.editAsText().setBold(0, 4, true); // Make "Pace:" bold
+          if (krForecast.pace === 'behind') krPaceItem.setForegroundColor(STATUS_COLORS.behind);
+        }
+        
+        // KR Trend sparkline if history was fetched
+        if (kr.sparkline && kr.sparkline !== '—') {
+          const krTrendItem = body.appendListItem(`Trend (${INTERNAL_CONFIG.SPARKLINE_DAYS} days): ${kr.sparkline}`);
+          krTrendItem.setGlyphType(DocumentApp.GlyphType.BULLET);
+          krTrendItem.setNestingLevel(2);
+          krTrendItem.editAsText().setBold(0, 5, true); // Make "Trend" bold
+        }
+        
         // KR Description/Note if available
         if (kr.description && kr.description.trim()) {
           const krNoteItem = body.appendListItem(`Note: ${kr.description}`);
@@ -2062,12 +5201,115 @@ function writeReport(docId, data, stats, config) {
     body.appendParagraph(''); // Empty line after each objective
   });
   
+  // Stale key results after the objectives unless they are shown at the top
+  if (!config.needsAttentionAtTop) {
+    const hrStaleParagraph = body.appendParagraph('_______________________________________________________________________________');
+    hrStaleParagraph.setForegroundColor('#cccccc');
+    body.appendParagraph(''); // Empty line
+    appendStaleKeyResultsSection(body, stats, 'Stale Key Results');
+    body.appendParagraph(''); // Empty line
+  }
+  
+  // Data quality section - makes dropped or unresolved data visible in the report itself
+  if (data.diagnostics) {
+    const hrParagraph3 = body.appendParagraph('_______________________________________________________________________________');
+    hrParagraph3.setForegroundColor('#cccccc');
+    
+    body.appendParagraph(''); // Empty line
+    
+    body.appendParagraph('Data Quality').setHeading(DocumentApp.ParagraphHeading.HEADING2);
+    
+    body.appendParagraph(''); // Empty line
+    
+    getDataQualityItems(data.diagnostics).forEach(([label, value]) => {
+      const qualityItem = body.appendListItem(`${label}: ${value}`);
+      qualityItem.setGlyphType(DocumentApp.GlyphType.BULLET);
+      qualityItem.editAsText().setBold(0, label.length, true);
+      if (label === 'Status') {
+        qualityItem.setForegroundColor(data.diagnostics.issueCount > 0 ? '#ff8500' : '#0d7377');
+      }
+    });
+  }
+  
   
   const docUrl = doc.getUrl();
   const documentId = doc.getId();
   Logger.log(`📄 Report written to Google Doc:`);
   Logger.log(`   Document ID: ${documentId}`);
   Logger.log(`   Document URL: ${docUrl}`);
+  return docUrl;
+}
+
+/**
+ * Append the stale key result list (owner and days since update) to a Google Doc body
+ */
+function appendStaleKeyResultsSection(body, stats, heading) {
+  body.appendParagraph(heading).setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  body.appendParagraph(''); // Empty line
+  
+  if (stats.staleKeyResults.length === 0) {
+    const noneItem = body.appendListItem('No stale key results');
+    noneItem.setGlyphType(DocumentApp.GlyphType.BULLET);
+    noneItem.setForegroundColor(STATUS_COLORS.good);
+    return;
+  }
+  
+  stats.staleKeyResults.forEach(kr => {
+    const staleItem = body.appendListItem(formatStaleKeyResult(kr));
+    staleItem.setGlyphType(DocumentApp.GlyphType.BULLET);
+    staleItem.setForegroundColor(STATUS_COLORS.risk);
+    if (kr.name) staleItem.editAsText().setBold(0, kr.name.length - 1, true);
+  });
+}
+
+/**
+ * Append the session comparison: attainment per period, a side-by-side table of objective
+ * progress per period, and the carried-over, dropped and new objectives
+ */
+function appendSessionComparisonSection(body, comparison) {
+  const periodNames = comparison.periods.map(period => period.name);
+  body.appendParagraph('Session Comparison').setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  body.appendParagraph(''); // Empty line
+  
+  comparison.periods.forEach(period => {
+    const attainment = period.attainment === null ? 'no objectives' : `${period.attainment}% attainment`;
+    const periodItem = body.appendListItem(`${period.name}: ${attainment} (${period.objectiveCount} objectives)`);
+    periodItem.setGlyphType(DocumentApp.GlyphType.BULLET);
+    periodItem.editAsText().setBold(0, period.name.length - 1, true);
+  });
+  
+  body.appendParagraph('Objectives by Period').setHeading(DocumentApp.ParagraphHeading.HEADING3);
+  const rows = comparison.tracks.map(track => [
+    track.name,
+    ...track.progress.map(progress => (progress === null ? '–' : `${progress}%`)),
+    SESSION_COMPARISON_LABELS[track.status]
+  ]);
+  const table = body.appendTable([['Objective', ...periodNames, 'Status'], ...rows]);
+  table.getRow(0).editAsText().setBold(true);
+  
+  const appendTrackList = (heading, tracks, describe, color) => {
+    body.appendParagraph(`${heading} (${tracks.length})`).setHeading(DocumentApp.ParagraphHeading.HEADING3);
+    if (tracks.length === 0) {
+      const noneItem = body.appendListItem('None');
+      noneItem.setGlyphType(DocumentApp.GlyphType.BULLET);
+      noneItem.setItalic(true);
+      noneItem.setForegroundColor('#999999');
+      return;
+    }
+    tracks.forEach(track => {
+      const trackItem = body.appendListItem(`${track.name} (Owner: ${track.ownerName}) – ${describe(track)}`);
+      trackItem.setGlyphType(DocumentApp.GlyphType.BULLET);
+      trackItem.editAsText().setBold(0, track.name.length - 1, true);
+      if (color) trackItem.setForegroundColor(color);
+    });
+  };
+  
+  appendTrackList('Carried Over', comparison.carriedOver,
+    track => track.progress.map((progress, i) => (progress === null ? null : `${periodNames[i]}: ${progress}%`)).filter(Boolean).join(' → '));
+  appendTrackList('Dropped', comparison.dropped,
+    track => `last in ${periodNames[track.lastPeriod]} at ${track.progress[track.lastPeriod]}%`, STATUS_COLORS.behind);
+  appendTrackList('New', comparison.added,
+    track => `from ${periodNames[track.firstPeriod]}`);
 }
 
 /**
@@ -2080,7 +5322,7 @@ function setup() {
   Logger.log('   - QUANTIVE_API_TOKEN: Your API token from Quantive');
   Logger.log('   - QUANTIVE_ACCOUNT_ID: Your account ID');
   Logger.log('   - SESSIONS: CSV or JSON array of session names/UUIDs');
-  Logger.log('   - Export target: GOOGLE_DOC_ID or TEXT_FILE_URL/TEXT_FILE_ID');
+  Logger.log('   - Export target: GOOGLE_DOC_ID, TEXT_FILE_URL/TEXT_FILE_ID, GOOGLE_SHEET_ID, JSON_FILE_ID, CSV_FOLDER_ID, WEBHOOK_URL, EMAIL_RECIPIENTS, OWNER_REPORT_DOC_ID or OWNER_EMAIL_MODE');
   Logger.log('');
   Logger.log('3. Run listAvailableSessions() to see available session names');
   Logger.log('4. Run generateQuantiveReport() to test');
@@ -2111,7 +5353,7 @@ function testApiConnection() {
     Logger.log(`🔑 Token: ${config.apiToken.substring(0, 10)}...`);
     
     const sessionsUrl = `${config.baseUrl}/sessions`;
-    const response = UrlFetchApp.fetch(sessionsUrl, { headers });
+    const response = BatchProcessor.fetchWithRetry(sessionsUrl, { headers }, config);
     const responseText = response.getContentText();
     
     Logger.log(`📊 Response status: ${response.getResponseCode()}`);
@@ -2141,30 +5383,7 @@ function listAvailableSessions() {
   try {
     const config = getConfig();
     
-    const headers = {
-      'Authorization': `Bearer ${config.apiToken}`,
-      'Gtmhub-AccountId': config.accountId,
-      'Content-Type': 'application/json'
-    };
-    
-    const sessionsUrl = `${config.baseUrl}/sessions`;
-    const sessionsResponse = UrlFetchApp.fetch(sessionsUrl, { headers });
-    const responseText = sessionsResponse.getContentText();
-    const sessionsData = JSON.parse(responseText);
-    
-    // Handle different response formats
-    let sessions;
-    if (Array.isArray(sessionsData)) {
-      sessions = sessionsData;
-    } else if (sessionsData.items && Array.isArray(sessionsData.items)) {
-      sessions = sessionsData.items;
-    } else if (sessionsData.sessions && Array.isArray(sessionsData.sessions)) {
-      sessions = sessionsData.sessions;
-    } else if (sessionsData.data && Array.isArray(sessionsData.data)) {
-      sessions = sessionsData.data;
-    } else {
-      throw new Error(`Unexpected sessions API response format. Expected array, got: ${typeof sessionsData}`);
-    }
+    const sessions = fetchAllPages(`${config.baseUrl}/sessions`, config, 'sessions');
     
     Logger.log('📋 Available Sessions:');
     sessions.forEach((session, index) => {
@@ -17,69 +17,98 @@ const fetch = require('node-fetch');
 // Global mock implementations for Google Apps Script services
 global.PropertiesService = {
   getScriptProperties: () => ({
-    getProperty: (key) => process.env[key] || null
+    getProperty: (key) => process.env[key] || null,
+    // Script-managed properties (e.g. checkpoint bookkeeping) live for this process only
+    setProperty: (key, value) => { process.env[key] = value; },
+    deleteProperty: (key) => { delete process.env[key]; }
   })
 };
 
-// Synchronous wrapper for fetch to match Google Apps Script behavior
+// Synchronous HTTP request through curl, returning the real status code, headers and body
+// curl runs without a shell: every argument is passed as-is and the payload goes through stdin
 function syncFetch(url, options = {}) {
-  const { execSync } = require('child_process');
+  const { execFileSync } = require('child_process');
+  const os = require('os');
   
-  // Create curl command for synchronous HTTP request
-  const headers = options.headers || {};
-  const method = options.method || 'GET';
-  
-  let curlCmd = `curl -s -X ${method}`;
-  
-  // Add headers
-  for (const [key, value] of Object.entries(headers)) {
-    curlCmd += ` -H "${key}: ${value}"`;
+  const method = (options.method || 'GET').toUpperCase();
+  const headers = { ...(options.headers || {}) };
+  let body = options.payload !== undefined ? options.payload : options.body;
+  if (body !== undefined && body !== null && typeof body === 'object') {
+    // UrlFetchApp form-encodes object payloads
+    body = new URLSearchParams(body).toString();
+    if (!options.contentType) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  }
+  if (options.contentType) {
+    headers['Content-Type'] = options.contentType;
   }
   
-  // Add body if present
-  if (options.payload || options.body) {
-    curlCmd += ` -d '${options.payload || options.body}'`;
+  const args = ['--silent', '--show-error', '--request', method, '--max-time', '60'];
+  for (const [key, value] of Object.entries(headers)) {
+    if (/[\r\n]/.test(`${key}${value}`)) {
+      throw new Error(`Invalid value for header ${key}`);
+    }
+    args.push('--header', `${key}: ${value}`);
   }
+  if (options.followRedirects !== false) args.push('--location');
+  if (options.validateHttpsCertificates === false) args.push('--insecure');
+  if (body !== undefined && body !== null && body !== '') args.push('--data-binary', '@-');
   
-  curlCmd += ` "${url}"`;
+  // Headers go to a temp file so the body on stdout is never confused with them
+  const headerFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'quantive-fetch-')), 'headers');
+  args.push('--dump-header', headerFile, '--', url);
   
   try {
-    const result = execSync(curlCmd, { encoding: 'utf8', timeout: 30000 });
-    return {
-      status: 200, // Simplified - curl would exit with error code on HTTP errors
-      text: result
-    };
-  } catch (error) {
-    return {
-      status: 500,
-      text: `Error: ${error.message}`
-    };
+    let text;
+    try {
+      text = execFileSync('curl', args, {
+        encoding: 'utf8',
+        input: body !== undefined && body !== null ? String(body) : '',
+        maxBuffer: 50 * 1024 * 1024,
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+    } catch (error) {
+      // Transport failures (DNS, refused connection, timeout) throw like UrlFetchApp, even when muted
+      const reason = error.stderr ? error.stderr.toString().trim() : error.message;
+      throw new Error(`Exception: Request failed for ${url}: ${reason}`);
+    }
+    
+    // With redirects the dump holds several responses; the last one is the final response
+    const blocks = fs.readFileSync(headerFile, 'utf8').split(/\r?\n\r?\n/).filter(block => /^HTTP\//.test(block));
+    const lines = (blocks[blocks.length - 1] || '').split(/\r?\n/);
+    const status = parseInt((lines[0] || '').split(' ')[1], 10) || 0;
+    const responseHeaders = {};
+    lines.slice(1).forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) responseHeaders[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    });
+    
+    return { status, headers: responseHeaders, text };
+  } finally {
+    fs.rmSync(path.dirname(headerFile), { recursive: true, force: true });
+  }
+}
+
+// HTTPResponse-like object; status codes >= 400 throw unless muteHttpExceptions is set, as in Apps Script
+function toHttpResponse(url, options, response) {
+  if (response.status >= 400 && !options.muteHttpExceptions) {
+    throw new Error(`Exception: Request failed for ${url} returned code ${response.status}. Truncated server response: ${response.text.substring(0, 200)} (use muteHttpExceptions option to examine full response)`);
   }
+  return {
+    getResponseCode: () => response.status,
+    getContentText: () => response.text,
+    getHeaders: () => ({ ...response.headers }),
+    getAllHeaders: () => ({ ...response.headers })
+  };
 }
 
 global.UrlFetchApp = {
-  fetch: (url, options = {}) => {
-    const response = syncFetch(url, options);
-    return {
-      getResponseCode: () => response.status,
-      getContentText: () => response.text,
-      getHeaders: () => ({})
-    };
-  },
+  fetch: (url, options = {}) => toHttpResponse(url, options, syncFetch(url, options)),
   
+  // Requests run one after another locally; each may be a URL string or { url, ...options }
   fetchAll: (requests) => {
     return requests.map(req => {
-      const response = syncFetch(req.url, {
-        method: req.method || 'GET',
-        headers: req.headers || {},
-        payload: req.payload || req.body
-      });
-      
-      return {
-        getResponseCode: () => response.status,
-        getContentText: () => response.text,
-        getHeaders: () => ({})
-      };
+      const { url, ...options } = typeof req === 'string' ? { url: req } : req;
+      return toHttpResponse(url, options, syncFetch(url, options));
     });
   }
 };
@@ -92,37 +121,60 @@ global.Logger = {
 };
 
 global.Utilities = {
+  // Blocks like Utilities.sleep so retry backoff and Retry-After waits really pause
   sleep: (ms) => {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
   }
 };
 
+// Documents written through the DocumentApp mock, keyed by document ID
+// Each is { id, elements: [{ type, text, heading, glyphType, nestingLevel, boldRanges, italic, fontSize, color }] };
+// tables are { type: 'table', rows, boldRows }
+const mockDocuments = {};
+
+// Body element that records what Code.gs appends and how it formats it
+function createMockDocumentElement(doc, type, text) {
+  const element = { type, text: String(text), heading: null, glyphType: null, nestingLevel: 0, boldRanges: [], italic: false, fontSize: null, color: null };
+  doc.elements.push(element);
+  const textApi = {
+    // setBold(bold) applies to the whole element, setBold(start, endInclusive, bold) to a range
+    setBold: (...args) => {
+      const [start, end, bold] = args.length === 1 ? [0, element.text.length - 1, args[0]] : args;
+      if (bold) element.boldRanges.push([start, end]);
+      return textApi;
+    }
+  };
+  const api = {
+    setHeading: (heading) => { element.heading = heading; return api; },
+    setGlyphType: (glyphType) => { element.glyphType = glyphType; return api; },
+    setNestingLevel: (level) => { element.nestingLevel = level; return api; },
+    setForegroundColor: (color) => { element.color = color; return api; },
+    setItalic: (italic) => { element.italic = italic; return api; },
+    setFontSize: (size) => { element.fontSize = size; return api; },
+    editAsText: () => textApi
+  };
+  return api;
+}
+
 global.DocumentApp = {
   openById: (docId) => {
     console.log(`📄 Mock: Would open Google Doc with ID: ${docId}`);
+    const doc = mockDocuments[docId] || (mockDocuments[docId] = { id: docId, elements: [] });
     return {
       getName: () => 'Mock Document',
       getId: () => docId,
       getUrl: () => `https://docs.google.com/document/d/${docId}/edit`,
       getBody: () => ({
-        clear: () => console.log('📄 Mock: Document cleared'),
-        appendParagraph: (text) => {
-          console.log(`📄 Mock: Paragraph: ${text}`);
+        clear: () => { doc.elements.length = 0; },
+        appendParagraph: (text) => createMockDocumentElement(doc, 'paragraph', text),
+        appendListItem: (text) => createMockDocumentElement(doc, 'listItem', text),
+        appendTable: (cells) => {
+          const table = { type: 'table', rows: cells.map(row => row.map(String)), boldRows: [] };
+          doc.elements.push(table);
           return {
-            setHeading: () => {},
-            editAsText: () => ({ setBold: () => {} }),
-            setForegroundColor: () => {}
-          };
-        },
-        appendListItem: (text) => {
-          console.log(`📄 Mock: List item: ${text}`);
-          return {
-            setGlyphType: () => {},
-            setNestingLevel: () => {},
-            editAsText: () => ({ setBold: () => {} }),
-            setForegroundColor: () => {},
-            setItalic: () => {},
-            setFontSize: () => {}
+            getRow: (rowIndex) => ({
+              editAsText: () => ({ setBold: (bold) => { if (bold) table.boldRows.push(rowIndex); } })
+            })
           };
         }
       })
@@ -139,30 +191,208 @@ global.DocumentApp = {
   }
 };
 
+// Write a file into a local output directory (created when missing) and return its path
+function writeOutputFile(outputDir, fileName, content) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const outputFile = path.join(outputDir, fileName);
+  fs.writeFileSync(outputFile, content);
+  return outputFile;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Preview of a mock document as HTML: headings, nested bullet lists, tables, bold ranges, colors and sizes
+function renderMockDocumentHtml(doc) {
+  const headingTags = { TITLE: 'h1', HEADING1: 'h2', HEADING2: 'h3', HEADING3: 'h4' };
+  const formatText = (element) => {
+    const bold = new Array(element.text.length).fill(false);
+    element.boldRanges.forEach(([start, end]) => {
+      for (let i = start; i <= end && i < bold.length; i++) bold[i] = true;
+    });
+    let html = '';
+    let i = 0;
+    while (i < element.text.length) {
+      let j = i;
+      while (j < element.text.length && bold[j] === bold[i]) j++;
+      const segment = escapeHtml(element.text.slice(i, j));
+      html += bold[i] ? `<strong>${segment}</strong>` : segment;
+      i = j;
+    }
+    return html;
+  };
+  const styleOf = (element) => {
+    const styles = [];
+    if (element.color) styles.push(`color: ${element.color}`);
+    if (element.italic) styles.push('font-style: italic');
+    if (element.fontSize) styles.push(`font-size: ${element.fontSize}pt`);
+    if (element.type === 'listItem' && element.nestingLevel > 0) styles.push(`margin-left: ${element.nestingLevel * 24}px`);
+    return styles.length > 0 ? ` style="${styles.join('; ')}"` : '';
+  };
+  
+  const lines = [];
+  let inList = false;
+  doc.elements.forEach(element => {
+    if (element.type === 'listItem' && !inList) lines.push('<ul>');
+    if (element.type !== 'listItem' && inList) lines.push('</ul>');
+    inList = element.type === 'listItem';
+    if (element.type === 'table') {
+      lines.push('<table>');
+      element.rows.forEach((row, rowIndex) => {
+        const cellTag = element.boldRows.includes(rowIndex) ? 'th' : 'td';
+        lines.push(`<tr>${row.map(cell => `<${cellTag}>${escapeHtml(cell)}</${cellTag}>`).join('')}</tr>`);
+      });
+      lines.push('</table>');
+      return;
+    }
+    const tag = inList ? 'li' : headingTags[element.heading] || 'p';
+    lines.push(`<${tag}${styleOf(element)}>${formatText(element)}</${tag}>`);
+  });
+  if (inList) lines.push('</ul>');
+  
+  return [
+    '<!DOCTYPE html>',
+    `<html><head><meta charset="utf-8"><title>Document ${escapeHtml(doc.id)}</title>`,
+    '<style>body { font-family: Arial, sans-serif; max-width: 860px; margin: 2em auto; } ul { padding-left: 24px; } td, th { border: 1px solid #ccc; padding: 4px 8px; } table { border-collapse: collapse; }</style>',
+    '</head><body>',
+    ...lines,
+    '</body></html>',
+    ''
+  ].join('\n');
+}
+
+// Write an HTML preview of every document the run wrote to debug-output/document-<id>.html
+function writeMockDocumentPreviews() {
+  Object.values(mockDocuments).forEach(doc => {
+    const outputFile = writeOutputFile(path.join(__dirname, 'debug-output'), `document-${doc.id}.html`, renderMockDocumentHtml(doc));
+    console.log(`📄 Mock: Document preview (${doc.elements.length} elements) written to ${outputFile}`);
+  });
+}
+
+// Local paths of files created through the DriveApp mock (other IDs map to snapshot-<id>.md)
+const mockDriveFiles = {};
+
 global.DriveApp = {
+  // Folders map to debug-output/folder-<id>/, where files keep their own names
+  getFolderById: (folderId) => {
+    console.log(`💾 Mock: Would access Drive folder with ID: ${folderId}`);
+    const folderDir = path.join(__dirname, 'debug-output', `folder-${folderId}`);
+    const fileNamed = (name) => {
+      fs.mkdirSync(folderDir, { recursive: true });
+      mockDriveFiles[`${folderId}/${name}`] = path.join(folderDir, name);
+      return global.DriveApp.getFileById(`${folderId}/${name}`);
+    };
+    return {
+      getId: () => folderId,
+      createFile: (name, content) => {
+        const file = fileNamed(name);
+        file.setContent(content);
+        return file;
+      },
+      getFilesByName: (name) => {
+        const files = fs.existsSync(path.join(folderDir, name)) ? [fileNamed(name)] : [];
+        let index = 0;
+        return { hasNext: () => index < files.length, next: () => files[index++] };
+      }
+    };
+  },
+  createFile: (name, content) => {
+    const fileId = `local-${Date.now()}`;
+    mockDriveFiles[fileId] = path.join(__dirname, 'debug-output', `${fileId}-${name}`);
+    console.log(`💾 Mock: Would create Drive file: ${name}`);
+    const file = global.DriveApp.getFileById(fileId);
+    file.setContent(content);
+    return file;
+  },
   getFileById: (fileId) => {
     console.log(`💾 Mock: Would access Drive file with ID: ${fileId}`);
+    const outputFile = mockDriveFiles[fileId] || path.join(__dirname, 'debug-output', `snapshot-${fileId}.md`);
     return {
+      getId: () => fileId,
+      getBlob: () => ({
+        getDataAsString: () => fs.readFileSync(outputFile, 'utf8')
+      }),
       setContent: (content) => {
         // Write to local file for debugging
         const outputDir = path.join(__dirname, 'debug-output');
         if (!fs.existsSync(outputDir)) {
           fs.mkdirSync(outputDir);
         }
-        const outputFile = path.join(outputDir, `snapshot-${fileId}.md`);
         fs.writeFileSync(outputFile, content);
         console.log(`💾 Mock: Content written to ${outputFile}`);
       },
       setName: (name) => {
         console.log(`💾 Mock: File renamed to: ${name}`);
+      },
+      setTrashed: () => {
+        if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile);
+        console.log(`💾 Mock: Trashed ${outputFile}`);
       }
     };
   }
 };
 
+global.MailApp = {
+  sendEmail: (message) => {
+    // Write the HTML body to a local file instead of sending
+    const outputDir = path.join(__dirname, 'debug-output');
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir);
+    }
+    const outputFile = path.join(outputDir, `email-${Date.now()}.html`);
+    fs.writeFileSync(outputFile, message.htmlBody || message.body);
+    console.log(`📧 Mock: Would email "${message.subject}" to ${message.to}; HTML written to ${outputFile}`);
+  },
+  getRemainingDailyQuota: () => 100
+};
+
+global.SpreadsheetApp = {
+  openById: (sheetId) => {
+    console.log(`📊 Mock: Would open Google Sheet with ID: ${sheetId}`);
+    const mockSheet = (name) => {
+      const cells = [];
+      return {
+        getName: () => name,
+        clear: () => { cells.length = 0; },
+        setFrozenRows: () => {},
+        getRange: (row, column, numRows = 1, numColumns = 1) => ({
+          setValues: (values) => {
+            values.forEach((rowValues, i) => { cells[row - 1 + i] = rowValues; });
+            // Write each tab to a local TSV file for debugging
+            const outputDir = path.join(__dirname, 'debug-output');
+            if (!fs.existsSync(outputDir)) {
+              fs.mkdirSync(outputDir);
+            }
+            const outputFile = path.join(outputDir, `sheet-${sheetId}-${name.replace(/\s+/g, '-')}.tsv`);
+            fs.writeFileSync(outputFile, cells.map(r => r.map(v => (v instanceof Date ? v.toISOString() : String(v)).replace(/[\t\n]/g, ' ')).join('\t')).join('\n'));
+            console.log(`📊 Mock: ${values.length} rows written to ${outputFile}`);
+          },
+          setFontWeight: () => {},
+          setNumberFormat: () => {}
+        })
+      };
+    };
+    const sheets = {};
+    return {
+      getId: () => sheetId,
+      getUrl: () => `https://docs.google.com/spreadsheets/d/${sheetId}/edit`,
+      getSheetByName: (name) => sheets[name] || null,
+      insertSheet: (name) => (sheets[name] = mockSheet(name))
+    };
+  }
+};
+
 global.ScriptApp = {
-  newTrigger: () => ({
+  newTrigger: (handlerFunction) => ({
     timeBased: () => ({
+      // One-off continuation triggers do not fire locally
+      after: (ms) => ({
+        create: () => {
+          console.log(`⏰ Mock: ${handlerFunction} would run again in ${ms / 1000}s`);
+          return { getUniqueId: () => 'mock-trigger', getHandlerFunction: () => handlerFunction };
+        }
+      }),
       everyWeeks: () => ({
         onWeekDay: () => ({
           atHour: () => ({
@@ -172,6 +402,8 @@ global.ScriptApp = {
       })
     })
   }),
+  getProjectTriggers: () => [],
+  deleteTrigger: () => {},
   WeekDay: {
     MONDAY: 'MONDAY'
   }
@@ -192,6 +424,16 @@ function loadGASCode() {
     if (typeof listAvailableSessions !== 'undefined') global.listAvailableSessions = listAvailableSessions;
     if (typeof performanceTest !== 'undefined') global.performanceTest = performanceTest;
     if (typeof setup !== 'undefined') global.setup = setup;
+    
+    // Pipeline pieces used by the report CLI (--format)
+    global.getConfig = getConfig;
+    global.prepareReport = prepareReport;
+    global.saveApiFixtureRecording = saveApiFixtureRecording;
+    global.buildPlainTextSnapshot = buildPlainTextSnapshot;
+    global.buildHtmlEmailDigest = buildHtmlEmailDigest;
+    global.buildJsonExport = buildJsonExport;
+    global.buildCsvExportFiles = buildCsvExportFiles;
+    global.writeReport = writeReport;
   `;
   
   // Use Function constructor instead of eval for better error handling
@@ -204,6 +446,108 @@ function loadGASCode() {
   }
 }
 
+// Start mock-quantive-api.js in a child process (syncFetch blocks this one) and point the script at it
+function startMockApi(args) {
+  const { spawn } = require('child_process');
+  const port = '8788';
+  const faultSwitches = ['--delay', '--html-every', '--429-every', '--500-every', '--fault-path', '--fixtures'];
+  const mockArgs = ['--port', port];
+  faultSwitches.forEach(name => {
+    const index = args.indexOf(name);
+    if (index >= 0 && args[index + 1]) mockArgs.push(name, args[index + 1]);
+  });
+  
+  // Output is inherited rather than piped: this process blocks in curl during the run and would never
+  // drain a pipe, so the mock would stall once the pipe filled. Readiness arrives over IPC instead.
+  const child = spawn(process.execPath, [path.join(__dirname, 'mock-quantive-api.js'), ...mockArgs], {
+    stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+  });
+  process.on('exit', () => child.kill());
+  
+  // Fixture sessions are named like the .env.example defaults; credentials only need to be present
+  process.env.QUANTIVE_BASE_URL = `http://localhost:${port}/api/v1`;
+  process.env.QUANTIVE_API_TOKEN = process.env.QUANTIVE_API_TOKEN || 'mock-token';
+  process.env.QUANTIVE_ACCOUNT_ID = process.env.QUANTIVE_ACCOUNT_ID || 'mock-account';
+  process.env.SESSIONS = process.env.SESSIONS || 'Q4 2024,Annual 2025';
+  
+  return new Promise((resolve, reject) => {
+    child.on('message', message => {
+      if (message === 'listening') resolve(child);
+    });
+    child.on('exit', code => reject(new Error(`Mock API exited with code ${code}`)));
+  });
+}
+
+// Point API_FIXTURE_MODE at a local bundle file for --record <path> / --replay <path>
+function configureApiFixture(args) {
+  const mode = ['record', 'replay'].find(name => args.includes(`--${name}`));
+  if (!mode) return;
+  
+  const bundlePath = args[args.indexOf(`--${mode}`) + 1];
+  if (!bundlePath || bundlePath.startsWith('--')) {
+    throw new Error(`--${mode} needs the path of the fixture bundle`);
+  }
+  const fileId = 'localApiFixture';
+  mockDriveFiles[fileId] = path.resolve(bundlePath);
+  process.env.API_FIXTURE_MODE = mode;
+  process.env.API_FIXTURE_FILE_ID = fileId;
+  console.log(`📼 ${mode === 'record' ? 'Recording API responses to' : 'Replaying API responses from'} ${mockDriveFiles[fileId]}`);
+}
+
+// Output formats of the report CLI; each writes one or more files into --out
+const REPORT_FORMATS = ['md', 'json', 'csv', 'html', 'docx-like'];
+const CLI_DOCUMENT_ID = 'localReportDocument';
+
+// Values of every occurrence of a repeatable switch, e.g. --session "Q4 2024" --session "Annual 2025"
+function getSwitchValues(args, name) {
+  return args.flatMap((arg, index) => (arg === name && args[index + 1] && !args[index + 1].startsWith('--') ? [args[index + 1]] : []));
+}
+
+// Run the full pipeline once and write the report in each requested format
+function renderReportFiles(args) {
+  const formats = getSwitchValues(args, '--format').flatMap(value => value.split(',')).map(value => value.trim());
+  const unknown = formats.filter(format => !REPORT_FORMATS.includes(format));
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new Error(`--format must be one or more of: ${REPORT_FORMATS.join(', ')}${unknown.length > 0 ? ` (got ${unknown.join(', ')})` : ''}`);
+  }
+  const outputDir = path.resolve(getSwitchValues(args, '--out')[0] || path.join(__dirname, 'debug-output'));
+  
+  const sessions = getSwitchValues(args, '--session');
+  if (sessions.length > 0) process.env.SESSIONS = JSON.stringify(sessions);
+  // getConfig requires an export target; the CLI writes files itself and only uses the mock document
+  process.env.GOOGLE_DOC_ID = CLI_DOCUMENT_ID;
+  
+  const config = global.getConfig();
+  try {
+    const report = global.prepareReport(config);
+    if (!report) throw new Error('The report CLI does not support RESUMABLE_MODE');
+    const { sessionData, stats } = report;
+    const written = [];
+    const write = (fileName, content) => written.push(writeOutputFile(outputDir, fileName, content));
+    
+    formats.forEach(format => {
+      if (format === 'md') {
+        write('report.md', global.buildPlainTextSnapshot(sessionData, stats, config));
+      } else if (format === 'json') {
+        write('report.json', JSON.stringify(global.buildJsonExport(sessionData, stats, config), null, 2));
+      } else if (format === 'csv') {
+        Object.entries(global.buildCsvExportFiles(sessionData)).forEach(([fileName, content]) => write(fileName, content));
+      } else if (format === 'html') {
+        write('report.html', global.buildHtmlEmailDigest(sessionData, stats, config));
+      } else if (format === 'docx-like') {
+        global.writeReport(CLI_DOCUMENT_ID, sessionData, stats, config);
+        write('report.docx.html', renderMockDocumentHtml(mockDocuments[CLI_DOCUMENT_ID]));
+        delete mockDocuments[CLI_DOCUMENT_ID];
+      }
+    });
+    
+    console.log(`📁 Wrote ${written.length} file(s):`);
+    written.forEach(file => console.log(`   ${file}`));
+  } finally {
+    global.saveApiFixtureRecording();
+  }
+}
+
 // Main execution function
 async function main() {
   const args = process.argv.slice(2);
@@ -211,12 +555,22 @@ async function main() {
   console.log('🚀 Quantive Export Local Debugger');
   console.log('=====================================');
   
+  let mockApi = null;
   try {
+    if (args.includes('--mock')) {
+      console.log('🧪 Using the local mock Quantive API (fixtures/quantive-api)');
+      mockApi = await startMockApi(args);
+    }
+    configureApiFixture(args);
+    
     // Load the Google Apps Script code
     loadGASCode();
     
     // Check which command to run
-    if (args.includes('--test-api')) {
+    if (args.includes('--format')) {
+      console.log('📊 Rendering Quantive report files...');
+      renderReportFiles(args);
+    } else if (args.includes('--test-api')) {
       console.log('🧪 Testing API connection...');
       await global.testApiConnection();
     } else if (args.includes('--list-sessions')) {
@@ -225,17 +579,24 @@ async function main() {
     } else if (args.includes('--performance-test')) {
       console.log('⚡ Running performance test...');
       await global.performanceTest();
+    } else if (args.includes('--profile')) {
+      const profileName = args[args.indexOf('--profile') + 1];
+      console.log(`📊 Generating Quantive report for profile "${profileName}"...`);
+      await global.generateQuantiveReport(profileName);
     } else {
       console.log('📊 Generating Quantive report...');
       await global.generateQuantiveReport();
     }
     
+    writeMockDocumentPreviews();
     console.log('✅ Execution completed successfully');
     
   } catch (error) {
     console.error('❌ Execution failed:', error.message);
     console.error('Stack trace:', error.stack);
     process.exit(1);
+  } finally {
+    if (mockApi) mockApi.kill();
   }
 }
 
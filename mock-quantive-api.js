@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Local mock of the Quantive API for offline development
+ *
+ * Serves /sessions, /sessions/{id}, /goals, /goals/{id}, /metrics/{id}, /metrics/{id}/values,
+ * /users and /users/{id} from the JSON files in fixtures/quantive-api (under any base path,
+ * e.g. http://localhost:8788/results/api/v1). Switches inject the failures Code.gs has to cope with:
+ *
+ *   node mock-quantive-api.js [--port 8788] [--fixtures <dir>] [--delay <ms>]
+ *                             [--html-every <n>] [--429-every <n>] [--500-every <n>] [--fault-path <regex>]
+ *   npm run debug -- --mock
+ *
+ * Fixture strings of the form "now", "now-3d" or "now+30d" become ISO dates relative to server start,
+ * so sessions stay current and last-update ages stay stable.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'quantive-api');
+
+// Replace "now±<n>d" strings anywhere in a fixture with ISO dates
+function resolveRelativeDates(value, now) {
+  if (typeof value === 'string') {
+    const match = value.match(/^now(?:([+-])(\d+)d)?$/);
+    if (!match) return value;
+    const offsetDays = match[1] ? parseInt(match[2], 10) * (match[1] === '-' ? -1 : 1) : 0;
+    return new Date(now.getTime() + offsetDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+  if (Array.isArray(value)) return value.map(item => resolveRelativeDates(item, now));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveRelativeDates(item, now)]));
+  }
+  return value;
+}
+
+function loadFixtures(fixturesDir = DEFAULT_FIXTURES_DIR) {
+  const read = (name, fallback) => {
+    const file = path.join(fixturesDir, name);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+  };
+  return resolveRelativeDates({
+    sessions: read('sessions.json', []),
+    goals: read('goals.json', []),
+    users: read('users.json', []),
+    tasks: read('tasks.json', {}),
+    metricValues: read('metric-values.json', {})
+  }, new Date());
+}
+
+// skip/take paging with totalCount, as fetchAllPages expects
+function listPage(items, query) {
+  const skip = parseInt(query.get('skip') || '0', 10);
+  const take = parseInt(query.get('take') || String(items.length), 10);
+  return { items: items.slice(skip, skip + take), totalCount: items.length };
+}
+
+// [status, body] for a request against the fixtures (also used by the Jest UrlFetchApp fake)
+function route(fixtures, method, pathname, query) {
+  if (method !== 'GET') return [405, { error: `${method} is not supported by the mock API` }];
+
+  const metrics = fixtures.goals.flatMap(goal => goal.metrics || []);
+  const segments = pathname.split('/').filter(Boolean);
+  // Match on the last segments so any base path (e.g. /results/api/v1) works
+  const resourceIndex = segments.map((segment, i) => ({ segment, i }))
+    .filter(({ segment }) => ['sessions', 'goals', 'metrics', 'users'].includes(segment))
+    .map(({ i }) => i)
+    .pop();
+  if (resourceIndex === undefined) return [404, { error: `Unknown path ${pathname}` }];
+  const [resource, id, sub] = segments.slice(resourceIndex);
+  const notFound = [404, { error: `${resource} "${id}" not found` }];
+
+  if (resource === 'sessions') {
+    if (!id) return [200, listPage(fixtures.sessions, query)];
+    const session = fixtures.sessions.find(s => s.id === id);
+    return session ? [200, session] : notFound;
+  }
+
+  if (resource === 'goals') {
+    if (!id) {
+      const sessionId = query.get('sessionId');
+      const goals = fixtures.goals
+        .filter(goal => !sessionId || goal.sessionId === sessionId)
+        .map(({ metrics: omitted, ...goal }) => goal); // list view carries no metrics
+      return [200, listPage(goals, query)];
+    }
+    const goal = fixtures.goals.find(g => g.id === id);
+    return goal ? [200, goal] : notFound;
+  }
+
+  if (resource === 'metrics') {
+    if (sub === 'values') {
+      return [200, { items: (fixtures.metricValues[id] || []).map(({ date, value }) => ({ date, value })) }];
+    }
+    const metric = metrics.find(m => m.id === id);
+    if (!metric) return notFound;
+    return [200, query.get('expand') === 'tasks' ? { ...metric, tasks: fixtures.tasks[id] || [] } : metric];
+  }
+
+  // users
+  if (!id) return [200, listPage(fixtures.users, query)];
+  const user = fixtures.users.find(u => u.id === id);
+  return user ? [200, user] : notFound;
+}
+
+/**
+ * Create the mock API server (not yet listening)
+ * options: fixturesDir, delayMs, htmlEvery, rateLimitEvery, serverErrorEvery, faultPath (RegExp), log
+ */
+function createMockApiServer(options = {}) {
+  const fixtures = loadFixtures(options.fixturesDir);
+  const log = options.log || (() => {});
+  let faultCandidates = 0;
+
+  // Every nth request whose path matches faultPath gets the configured failure
+  const pickFault = (pathname) => {
+    if (options.faultPath && !options.faultPath.test(pathname)) return null;
+    faultCandidates++;
+    const every = (n) => n > 0 && faultCandidates % n === 0;
+    if (every(options.rateLimitEvery)) return 429;
+    if (every(options.serverErrorEvery)) return 500;
+    if (every(options.htmlEvery)) return 'html';
+    return null;
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body, headers = {}) => {
+      const text = typeof body === 'string' ? body : JSON.stringify(body);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(text);
+      log(`${status} ${req.method} ${url.pathname}${url.search}`);
+    };
+
+    setTimeout(() => {
+      if (!req.headers.authorization || !/^Bearer \S+/.test(req.headers.authorization)) {
+        send(401, { error: 'Missing bearer token' });
+        return;
+      }
+
+      const fault = pickFault(url.pathname);
+      if (fault === 429) {
+        send(429, { error: 'Too many requests' }, { 'Retry-After': '1' });
+      } else if (fault === 500) {
+        send(500, { error: 'Internal server error (mock)' });
+      } else if (fault === 'html') {
+        send(200, '<!DOCTYPE html><html><head><title>Sign in</title></head><body>Mock HTML error page</body></html>',
+          { 'Content-Type': 'text/html' });
+      } else {
+        const [status, body] = route(fixtures, req.method, url.pathname, url.searchParams);
+        send(status, body);
+      }
+    }, options.delayMs || 0);
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const argValue = (name, defaultValue) => {
+    const index = args.indexOf(name);
+    return index >= 0 && args[index + 1] ? args[index + 1] : defaultValue;
+  };
+
+  const port = parseInt(argValue('--port', '8788'), 10);
+  const options = {
+    fixturesDir: argValue('--fixtures', DEFAULT_FIXTURES_DIR),
+    delayMs: parseInt(argValue('--delay', '0'), 10),
+    htmlEvery: parseInt(argValue('--html-every', '0'), 10),
+    rateLimitEvery: parseInt(argValue('--429-every', '0'), 10),
+    serverErrorEvery: parseInt(argValue('--500-every', '0'), 10),
+    faultPath: argValue('--fault-path', null) ? new RegExp(argValue('--fault-path', null)) : null,
+    log: (line) => console.log(`🧪 ${line}`)
+  };
+
+  createMockApiServer(options).listen(port, () => {
+    console.log(`🚀 Mock Quantive API listening on http://localhost:${port}/api/v1 (fixtures: ${options.fixturesDir})`);
+    // Started by local-debug.js --mock: tell the parent the server is ready
+    if (process.send) process.send('listening');
+  });
+}
+
+module.exports = { createMockApiServer, loadFixtures, route };
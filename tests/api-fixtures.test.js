@@ -0,0 +1,66 @@
+const { loadGAS, BASE_PROPERTIES } = require('./helpers/load-gas');
+
+const FIXTURE_FILE_ID = 'apiFixture1234567890';
+
+const withoutTimestamp = (markdown) => markdown.replace(/^Generated: .*$/m, '');
+
+// Runs the report with API_FIXTURE_MODE set, returning the fakes and the written snapshot
+function runReport(properties, { bundle = '', respond = null } = {}) {
+  const { gas, fakes } = loadGAS({ properties: { ...properties, API_FIXTURE_FILE_ID: FIXTURE_FILE_ID }, respond });
+  fakes.addFile(FIXTURE_FILE_ID, 'quantive-api-fixture.json', bundle);
+  fakes.addFile('snapshotFile1234567890', 'quantive-snapshot.md');
+  gas.generateQuantiveReport();
+  return { fakes, markdown: fakes.calls.files.snapshotFile1234567890.content };
+}
+
+describe('API fixture recording and replay', () => {
+  const recording = runReport({ ...BASE_PROPERTIES, API_FIXTURE_MODE: 'record' });
+  const bundleText = recording.fakes.calls.files[FIXTURE_FILE_ID].content;
+  const bundle = JSON.parse(bundleText);
+
+  test('records every API exchange of the run into the bundle', () => {
+    expect(bundle).toMatchObject({ version: 1, baseUrl: BASE_PROPERTIES.QUANTIVE_BASE_URL, sessions: ['Q4 2024', 'Annual 2025'] });
+    expect(bundle.entries).toHaveLength(recording.fakes.calls.fetches.length);
+    expect(bundle.entries.map(entry => entry.key)).toContain('GET /goals/goal-revenue');
+  });
+
+  test('redacts the API token', () => {
+    expect(bundleText).not.toContain('test-token');
+    expect(bundle.entries[0].requestHeaders.Authorization).toBe('[REDACTED]');
+  });
+
+  test('replays the same report without credentials or network access', () => {
+    const { QUANTIVE_API_TOKEN, QUANTIVE_ACCOUNT_ID, ...properties } = BASE_PROPERTIES;
+    const replay = runReport({ ...properties, API_FIXTURE_MODE: 'replay' }, {
+      bundle: bundleText,
+      respond: (url) => { throw new Error(`Unexpected request to ${url}`); }
+    });
+
+    expect(replay.fakes.calls.fetches).toHaveLength(0);
+    expect(withoutTimestamp(replay.markdown)).toBe(withoutTimestamp(recording.markdown));
+  });
+
+  test('does not send email or post to the webhook when replaying', () => {
+    const replay = runReport({
+      ...BASE_PROPERTIES,
+      API_FIXTURE_MODE: 'replay',
+      EMAIL_RECIPIENTS: 'team@example.com',
+      OWNER_EMAIL_MODE: 'all',
+      WEBHOOK_URL: 'https://hooks.slack.com/services/T000/B000/XXXX'
+    }, { bundle: bundleText });
+
+    expect(replay.fakes.calls.emails).toHaveLength(0);
+    expect(replay.fakes.calls.fetches).toHaveLength(0);
+    expect(replay.markdown).toMatch(/^# Quantive Snapshot/);
+  });
+
+  test('answers requests missing from the bundle with a 404', () => {
+    const { gas, fakes } = loadGAS({ properties: { ...BASE_PROPERTIES, API_FIXTURE_MODE: 'replay', API_FIXTURE_FILE_ID: FIXTURE_FILE_ID } });
+    fakes.addFile(FIXTURE_FILE_ID, 'quantive-api-fixture.json', bundleText);
+    gas.startApiFixtureMode(gas.getConfig());
+
+    const response = gas.fetchApi(`${BASE_PROPERTIES.QUANTIVE_BASE_URL}/goals/goal-unknown`, { muteHttpExceptions: true });
+    expect(response.getResponseCode()).toBe(404);
+    expect(() => gas.fetchApi(`${BASE_PROPERTIES.QUANTIVE_BASE_URL}/goals/goal-unknown`, {})).toThrow(/returned code 404/);
+  });
+});
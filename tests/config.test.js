@@ -0,0 +1,142 @@
+const { loadGAS, BASE_PROPERTIES } = require('./helpers/load-gas');
+
+const configWith = (properties) => loadGAS({ properties }).gas.getConfig();
+
+describe('getConfig', () => {
+  test('reads the required properties and applies defaults', () => {
+    const config = configWith(BASE_PROPERTIES);
+
+    expect(config.apiToken).toBe('test-token');
+    expect(config.accountId).toBe('test-account');
+    expect(config.sessions).toEqual(['Q4 2024', 'Annual 2025']);
+    expect(config.textFileId).toBe('snapshotFile1234567890');
+    expect(config.lookbackDays).toBe(7);
+    expect(config.maxRetries).toBe(3);
+    expect(config.includeTasks).toBe(false);
+    expect(config.rollupStrategy).toBe('average');
+  });
+
+  test('accepts SESSIONS as a JSON array', () => {
+    const config = configWith({ ...BASE_PROPERTIES, SESSIONS: '["Q4 2024", "Annual 2025"]' });
+    expect(config.sessions).toEqual(['Q4 2024', 'Annual 2025']);
+  });
+
+  test('lists every missing required property in one error', () => {
+    expect(() => configWith({})).toThrow(/QUANTIVE_API_TOKEN is missing[\s\S]*QUANTIVE_ACCOUNT_ID is missing[\s\S]*SESSIONS is missing/);
+  });
+
+  test('requires at least one export target', () => {
+    const { TEXT_FILE_ID, ...withoutTarget } = BASE_PROPERTIES;
+    expect(() => configWith(withoutTarget)).toThrow(/Provide at least one export target/);
+  });
+
+  test('accepts JSON_FILE_ID as the only export target', () => {
+    const { TEXT_FILE_ID, ...properties } = BASE_PROPERTIES;
+    expect(configWith({ ...properties, JSON_FILE_ID: 'jsonExportFile123456' }).jsonFileId).toBe('jsonExportFile123456');
+  });
+
+  test('derives TEXT_FILE_ID from TEXT_FILE_URL', () => {
+    const { TEXT_FILE_ID, ...properties } = BASE_PROPERTIES;
+    const config = configWith({ ...properties, TEXT_FILE_URL: 'https://drive.google.com/file/d/1AbCdEfGhIjKlMnOp/view?usp=sharing' });
+    expect(config.textFileId).toBe('1AbCdEfGhIjKlMnOp');
+  });
+
+  test.each([
+    ['LOOKBACK_DAYS', 'soon', /LOOKBACK_DAYS/],
+    ['INCLUDE_TASKS', 'maybe', /INCLUDE_TASKS must be true or false/],
+    ['STALE_DAYS', '0', /STALE_DAYS must be an integer between 1 and 365/],
+    ['CSV_FOLDER_ID', 'folder', /CSV_FOLDER_ID does not look like a valid Drive folder ID/],
+    ['ROLLUP_STRATEGY', 'median', /ROLLUP_STRATEGY must be one of: attainment, average, weighted/],
+    ['FILTER', 'progress <', /FILTER could not be parsed/]
+  ])('rejects an invalid %s', (key, value, message) => {
+    expect(() => configWith({ ...BASE_PROPERTIES, [key]: value })).toThrow(message);
+  });
+});
+
+describe('deriveDriveFileIdFromUrl', () => {
+  const { gas } = loadGAS();
+
+  test.each([
+    ['1AbCdEfGhIjKlMnOp', '1AbCdEfGhIjKlMnOp'],
+    ['https://drive.google.com/file/d/1AbCdEfGhIjKlMnOp/view?usp=sharing', '1AbCdEfGhIjKlMnOp'],
+    ['https://drive.google.com/open?id=1AbCdEfGhIjKlMnOp', '1AbCdEfGhIjKlMnOp'],
+    ['https://docs.google.com/document/d/1AbCdEfGhIjKlMnOp', '1AbCdEfGhIjKlMnOp']
+  ])('extracts the ID from %s', (input, expected) => {
+    expect(gas.deriveDriveFileIdFromUrl(input)).toBe(expected);
+  });
+
+  test.each([[''], [null], ['https://drive.google.com/'], ['short']])('returns null for %p', (input) => {
+    expect(gas.deriveDriveFileIdFromUrl(input)).toBeNull();
+  });
+});
+
+describe('parseReportFilter', () => {
+  const { gas } = loadGAS();
+
+  // Field values in the shape applyReportFilter builds for each item
+  const item = { owner: ['Ana'], team: ['Growth', 'Platform'], status: ['On track'], name: ['Hire the "core" team, fast'], tags: ['hiring'], progress: [60], level: [0] };
+  const matches = (expression, fieldValues = item) => gas.evaluateReportFilter(gas.parseReportFilter(expression), fieldValues);
+
+  test('binds "and" tighter than "or" and "not" tighter than "and"', () => {
+    expect(gas.parseReportFilter('status = "At risk" or owner = Ana and progress < 40')).toEqual({
+      type: 'or',
+      conditions: [
+        { type: 'compare', field: 'status', op: '=', value: 'At risk' },
+        { type: 'and', conditions: [
+          { type: 'compare', field: 'owner', op: '=', value: 'Ana' },
+          { type: 'compare', field: 'progress', op: '<', value: 40 }
+        ] }
+      ]
+    });
+    expect(matches('status = "At risk" or owner = Ana and progress > 40')).toBe(true);
+    expect(matches('(status = "At risk" or owner = Ana) and progress < 40')).toBe(false);
+    expect(matches('not owner = Raj and progress >= 60')).toBe(true);
+    expect(matches('not (owner = Ana or progress >= 60)')).toBe(false);
+  });
+
+  test('matches "in" lists case-insensitively and against any value of list fields', () => {
+    expect(matches('owner in ["ana", \'Raj\']')).toBe(true);
+    expect(matches('owner not in [Raj, Kim]')).toBe(true);
+    expect(matches('team in ["platform"]')).toBe(true);
+    expect(matches('progress in [40, 50]')).toBe(false);
+    expect(matches('owner in []')).toBe(false);
+  });
+
+  test('reads double-quoted, single-quoted and escaped strings', () => {
+    expect(matches('name = "Hire the \\"core\\" team, fast"')).toBe(true);
+    expect(matches("name contains 'core\" team'")).toBe(true);
+    expect(matches("tags contains 'hir' and status = 'On track'")).toBe(true);
+    expect(gas.parseReportFilter('owner = "O\'Brien"').value).toBe("O'Brien");
+  });
+
+  test('supports between for numeric fields', () => {
+    expect(matches('progress between 50 and 70 and level = 0')).toBe(true);
+    expect(matches('progress between 0 and 59.5')).toBe(false);
+  });
+
+  test('rejects unknown fields and lists the available ones', () => {
+    expect(() => gas.parseReportFilter('assignee = Ana'))
+      .toThrow('unknown field "assignee" (use owner, team, status, name, tags, progress, level)');
+    expect(() => gas.parseReportFilter('owner = Ana and 40 < progress')).toThrow('unknown field "40"');
+  });
+
+  test.each([
+    ['', 'expression is empty'],
+    ['progress <', 'progress needs a number, found end of expression'],
+    ['progress > "high"', 'progress needs a number, found "high"'],
+    ['status < "Done"', 'status only supports =, !=, in and contains'],
+    ['progress contains 4', 'unsupported operator "contains" after progress'],
+    ['owner in ["Ana" "Raj"]', 'expected "," but found "Raj"'],
+    ['(owner = Ana', 'expected ")" but found end of expression'],
+    ['owner = Ana)', 'unexpected ")"'],
+    ['progress between 10 or 20', 'expected "and" in progress between, found "or"'],
+    ['owner = Ana & progress < 40', 'unexpected character at position 12']
+  ])('explains why %p does not parse', (expression, message) => {
+    expect(() => gas.parseReportFilter(expression)).toThrow(message);
+  });
+
+  test('reports parse errors through getConfig', () => {
+    expect(() => configWith({ ...BASE_PROPERTIES, FILTER: 'owner = Ana or' }))
+      .toThrow('FILTER could not be parsed: unknown field end of expression');
+  });
+});
@@ -0,0 +1,218 @@
+const { loadGAS, BASE_PROPERTIES } = require('./helpers/load-gas');
+
+const HTML_ERROR_PAGE = '<!DOCTYPE html><html><body>Sign in</body></html>';
+
+// Loads Code.gs against the fixtures in fixtures/quantive-api, with optional per-request overrides
+function setup(respond = null) {
+  const { gas, fakes } = loadGAS({ properties: { ...BASE_PROPERTIES, USER_CACHE_TTL_HOURS: '0' }, respond });
+  return { gas, fakes, config: gas.getConfig() };
+}
+
+describe('batchFetchGoalDetails', () => {
+  test('returns goal details with their metrics keyed by objective ID', () => {
+    const { gas, config } = setup();
+    const goals = gas.batchFetchGoalDetails(['goal-revenue', 'goal-expansion', 'goal-revenue'], config);
+
+    expect(Object.keys(goals)).toEqual(['goal-revenue', 'goal-expansion']);
+    expect(goals['goal-revenue'].metrics.map(metric => metric.id)).toEqual(['metric-arr', 'metric-churn']);
+    expect(goals['goal-expansion'].parentId).toBe('goal-revenue');
+  });
+
+  test('maps missing goals and HTML error pages to null', () => {
+    const { gas, config } = setup(url => (url.endsWith('/goals/goal-platform') ? [200, HTML_ERROR_PAGE] : null));
+    const goals = gas.batchFetchGoalDetails(['goal-platform', 'goal-unknown', 'goal-hiring'], config);
+
+    expect(goals['goal-platform']).toBeNull();
+    expect(goals['goal-unknown']).toBeNull();
+    expect(goals['goal-hiring'].name).toBe('Hire the "core" team, fast');
+  });
+
+  test('retries rate-limited requests', () => {
+    let rateLimited = false;
+    const { gas, fakes, config } = setup(url => {
+      if (url.endsWith('/goals/goal-revenue') && !rateLimited) {
+        rateLimited = true;
+        return [429, { error: 'Too many requests' }, { 'Retry-After': '1' }];
+      }
+      return null;
+    });
+    const goals = gas.batchFetchGoalDetails(['goal-revenue'], config);
+
+    expect(goals['goal-revenue'].name).toBe('Grow recurring revenue');
+    expect(fakes.calls.fetches.filter(({ url }) => url.endsWith('/goals/goal-revenue'))).toHaveLength(2);
+  });
+});
+
+describe('single requests', () => {
+  // Answers the first request to a path with a 429, then lets the fixtures answer
+  const rateLimitOnce = (pathSuffix) => {
+    let rateLimited = false;
+    return url => {
+      if (new URL(url).pathname.endsWith(pathSuffix) && !rateLimited) {
+        rateLimited = true;
+        return [429, { error: 'Too many requests' }, { 'Retry-After': '1' }];
+      }
+      return null;
+    };
+  };
+
+  test('fetchSessionDetail retries a rate-limited request', () => {
+    const { gas, fakes, config } = setup(rateLimitOnce('/sessions/session-annual'));
+    const session = gas.fetchSessionDetail('session-annual', config);
+
+    expect(session.name).toBe('Annual 2025');
+    expect(fakes.calls.fetches.filter(({ url }) => url.endsWith('/sessions/session-annual'))).toHaveLength(2);
+  });
+
+  test('fetchAllPages retries a rate-limited first page', () => {
+    const { gas, config } = setup(rateLimitOnce('/sessions'));
+    const sessions = gas.fetchAllPages(`${config.baseUrl}/sessions`, config, 'sessions');
+
+    expect(sessions.map(session => session.name)).toContain('Q4 2024');
+  });
+
+  test('does not count expected 404s as HTTP errors', () => {
+    const { gas, fakes, config } = setup();
+    gas.batchFetchUsers(['user-missing'], config);
+    gas.batchFetchProgressHistory(['metric-unknown'], config);
+    gas.fetchUserDisplayName('user-gone', config);
+
+    expect(fakes.calls.fetches.map(({ url }) => new URL(url).pathname)).toEqual(expect.arrayContaining(['/results/api/v1/users/user-missing', '/results/api/v1/users/user-gone']));
+    expect(gas.evaluate('BatchProcessor.runState.httpErrorCounts')).toEqual({});
+  });
+
+  test('raises once the retries are used up', () => {
+    const { gas, config } = setup(url => (url.endsWith('/sessions/session-annual') ? [503, { error: 'down' }] : null));
+    expect(() => gas.fetchSessionDetail('session-annual', config)).toThrow(/returned code 503/);
+  });
+});
+
+describe('fetchAllPages', () => {
+  test('keeps paging past short pages when the server caps take and reports no totalCount', () => {
+    const items = Array.from({ length: 5 }, (_, i) => ({ id: `item-${i}` }));
+    const { gas, fakes, config } = setup(url => {
+      const { pathname, searchParams } = new URL(url);
+      if (!pathname.endsWith('/things')) return null;
+      const skip = parseInt(searchParams.get('skip'), 10);
+      return [200, { items: items.slice(skip, skip + Math.min(2, parseInt(searchParams.get('take'), 10))) }];
+    });
+
+    expect(gas.fetchAllPages(`${config.baseUrl}/things`, config, 'things').map(item => item.id)).toEqual(items.map(item => item.id));
+    expect(fakes.calls.fetches.map(({ url }) => new URL(url).searchParams.get('skip'))).toEqual(['0', '2', '4', '5']);
+  });
+});
+
+describe('batchFetchProgressHistory', () => {
+  test('converts metric values into progress entries', () => {
+    const { gas, config } = setup();
+    const history = gas.batchFetchProgressHistory(['metric-arr', 'metric-hires'], config);
+
+    expect(history['metric-arr'].map(entry => entry.progress)).toEqual([50, 53, 55, 58]);
+    expect(history['metric-hires']).toEqual([]);
+  });
+
+  test('requests the sparkline window for each metric', () => {
+    const { gas, fakes, config } = setup();
+    gas.batchFetchProgressHistory(['metric-arr'], config);
+
+    expect(fakes.calls.fetches[0].url).toMatch(/\/metrics\/metric-arr\/values\?from=\d{4}-\d{2}-\d{2}&to=\d{4}-\d{2}-\d{2}$/);
+  });
+});
+
+describe('batchFetchTasks', () => {
+  test('returns the tasks embedded in each metric', () => {
+    const { gas, config } = setup();
+    const tasks = gas.batchFetchTasks(['metric-arr', 'metric-churn'], config);
+
+    expect(tasks['metric-arr'].map(task => task.name)).toEqual(['Roll out new pricing page', 'Review Q4 renewals']);
+    expect(tasks['metric-churn']).toEqual([]);
+  });
+});
+
+describe('batchFetchUsers', () => {
+  test('resolves display names from one bulk /users request', () => {
+    const { gas, fakes, config } = setup();
+    const users = gas.batchFetchUsers(['user-ana', 'user-kim'], config);
+
+    expect(users['user-ana']).toBe('Ana Silva');
+    expect(users['user-kim']).toBe('Kim Lee');
+    expect(fakes.calls.fetches.map(({ url }) => new URL(url).pathname)).toEqual(['/results/api/v1/users']);
+  });
+
+  test('falls back to individual requests when the bulk fetch fails', () => {
+    const { gas, fakes, config } = setup(url => (new URL(url).pathname.endsWith('/users') ? [500, { error: 'down' }] : null));
+    const users = gas.batchFetchUsers(['user-raj', 'user-missing'], config);
+
+    expect(users['user-raj']).toBe('Raj Patel');
+    expect(users['user-missing']).toBe('User user-missing');
+    expect(fakes.calls.fetches.some(({ url }) => url.endsWith('/users/user-raj'))).toBe(true);
+  });
+});
+
+describe('generateQuantiveReport', () => {
+  test('writes a markdown snapshot for the fixture sessions', () => {
+    const { gas, fakes } = setup();
+    fakes.addFile('snapshotFile1234567890', 'quantive-snapshot.md');
+
+    gas.generateQuantiveReport();
+
+    const markdown = fakes.calls.files.snapshotFile1234567890.content;
+    expect(markdown).toMatch(/^# Quantive Snapshot: Q4 2024, Annual 2025/);
+    expect(markdown).toContain('- Total Objectives: 4');
+    expect(markdown).toContain('KR: Reach $12M ARR (Progress: 58% | Owner: Ana Silva');
+    expect(markdown).toContain('- Status: Complete');
+  });
+
+  test('checks every report profile before fetching anything', () => {
+    const profiles = { Sales: { SESSIONS: ['Q4 2024'] }, Broken: { LOOKBACK_DAYS: 'soon' } };
+    const { gas, fakes } = loadGAS({ properties: { ...BASE_PROPERTIES, USER_CACHE_TTL_HOURS: '0', REPORT_PROFILES: JSON.stringify(profiles) } });
+
+    expect(() => gas.generateQuantiveReport()).toThrow(/no reports were generated:\nReport profile "Broken":\n- LOOKBACK_DAYS/);
+    expect(fakes.calls.fetches).toHaveLength(0);
+  });
+
+  test('keeps generating the other profiles when one fails', () => {
+    const profiles = {
+      Broken: { SESSIONS: ['Q9 2099'], TEXT_FILE_ID: 'brokenFile1234567890' },
+      Sales: { SESSIONS: ['Q4 2024'], TEXT_FILE_ID: 'salesFile12345678901' }
+    };
+    const { gas, fakes } = loadGAS({ properties: { ...BASE_PROPERTIES, USER_CACHE_TTL_HOURS: '0', REPORT_PROFILES: JSON.stringify(profiles) } });
+    fakes.addFile('brokenFile1234567890', 'broken.md');
+    fakes.addFile('salesFile12345678901', 'sales.md');
+
+    expect(() => gas.generateQuantiveReport()).toThrow('1 of 2 report profile(s) failed: Broken');
+    expect(fakes.calls.files.brokenFile1234567890.content).toBe('');
+    expect(fakes.calls.files.salesFile12345678901.content).toMatch(/^# Quantive Snapshot: Q4 2024/);
+  });
+
+  test('writes a resumable report in a fresh execution when the fetch phases used up the time', () => {
+    const { gas, fakes } = loadGAS({ properties: { ...BASE_PROPERTIES, USER_CACHE_TTL_HOURS: '0', RESUMABLE_MODE: 'true', OWNER_EMAIL_MODE: 'all' } });
+    fakes.addFile('snapshotFile1234567890', 'quantive-snapshot.md');
+    gas.evaluate('const realNow = Date.now; Date.now = () => realNow() + 200 * 1000;');
+
+    gas.generateQuantiveReport();
+    expect(fakes.calls.files.snapshotFile1234567890.content).toBe('');
+    expect(fakes.calls.triggers.map(trigger => trigger.getHandlerFunction())).toEqual(['generateQuantiveReport']);
+
+    // The continuation is a new execution (fresh globals) with the checkpoint already complete
+    const fetchCount = fakes.calls.fetches.length;
+    loadGAS({ fakes }).gas.generateQuantiveReport();
+    expect(fakes.calls.files.snapshotFile1234567890.content).toMatch(/^# Quantive Snapshot: Q4 2024, Annual 2025/);
+    expect(fakes.calls.triggers).toHaveLength(0);
+    expect(fakes.calls.fetches.slice(fetchCount).some(({ url }) => new URL(url).pathname.includes('/goals/'))).toBe(false);
+    // Owner emails need the directory's email addresses, which come from the checkpoint
+    expect(fakes.calls.emails.length).toBeGreaterThan(0);
+  });
+
+  test('replaces the CSV files in CSV_FOLDER_ID on every run', () => {
+    const { gas, fakes } = loadGAS({ properties: { ...BASE_PROPERTIES, USER_CACHE_TTL_HOURS: '0', CSV_FOLDER_ID: 'csvFolder1234567890' } });
+    fakes.addFile('snapshotFile1234567890', 'quantive-snapshot.md');
+
+    gas.generateQuantiveReport();
+    gas.generateQuantiveReport();
+
+    const csvFiles = Object.values(fakes.calls.files).filter(file => file.name.endsWith('.csv'));
+    expect(csvFiles.map(file => file.name).sort()).toEqual(['key_results.csv', 'objectives.csv', 'tasks.csv']);
+    expect(csvFiles.find(file => file.name === 'objectives.csv').content).toContain('goal-expansion,goal-revenue,Q4 2024,Expand into two new markets');
+  });
+});
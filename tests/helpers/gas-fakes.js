@@ -0,0 +1,179 @@
+/**
+ * In-memory fakes for the Google Apps Script services Code.gs uses
+ *
+ * UrlFetchApp answers from the fixtures in fixtures/quantive-api through the same router as
+ * mock-quantive-api.js; pass `respond(url, options)` returning [status, body, headers] to override
+ * individual requests. Everything the script does is recorded on `fakes.calls` for assertions.
+ */
+
+const { loadFixtures, route } = require('../../mock-quantive-api');
+
+function createGasFakes({ properties = {}, respond = null, fixtures = loadFixtures() } = {}) {
+  const store = { ...properties };
+  const calls = { fetches: [], logs: [], files: {}, paragraphs: [], emails: [], triggers: [], sheets: {} };
+
+  const toResponse = ([status, body, headers = {}]) => {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+      getResponseCode: () => status,
+      getContentText: () => text,
+      getHeaders: () => headers
+    };
+  };
+
+  const fetchOne = (url, options = {}) => {
+    calls.fetches.push({ url, options });
+    const override = respond ? respond(url, options) : null;
+    const parsed = new URL(url);
+    return toResponse(override || route(fixtures, (options.method || 'GET').toUpperCase(), parsed.pathname, parsed.searchParams));
+  };
+
+  const iterate = (items) => {
+    let index = 0;
+    return { hasNext: () => index < items.length, next: () => items[index++] };
+  };
+
+  let fileSequence = 0;
+  const createFile = (id, name, content) => {
+    const file = {
+      name,
+      content,
+      trashed: false,
+      getId: () => id,
+      getName: () => file.name,
+      setName: (newName) => { file.name = newName; },
+      getUrl: () => `https://drive.google.com/file/d/${id}/view`,
+      getDateCreated: () => new Date(),
+      setContent: (newContent) => { file.content = newContent; },
+      getBlob: () => ({ getDataAsString: () => file.content }),
+      setTrashed: (trashed) => { file.trashed = trashed; }
+    };
+    calls.files[id] = file;
+    return file;
+  };
+
+  // Document body elements record their text and kind; formatting calls are accepted and ignored
+  const element = (text, kind) => {
+    const record = { text, kind };
+    calls.paragraphs.push(record);
+    const chainable = new Proxy(record, {
+      get: (target, key) => (key in target ? target[key] : () => (key === 'editAsText' ? textStyle : chainable))
+    });
+    return chainable;
+  };
+  const textStyle = new Proxy({}, { get: () => () => textStyle });
+
+  // Sheet tabs record their cells and, in order, every setValues/setNumberFormat call
+  const createSheet = (name) => {
+    const sheet = { cells: [], operations: [] };
+    calls.sheets[name] = sheet;
+    return {
+      clear: () => { sheet.cells = []; sheet.operations = []; },
+      setFrozenRows: () => {},
+      getRange: (row, column) => ({
+        setValues: (values) => {
+          values.forEach((rowValues, i) => { sheet.cells[row - 1 + i] = rowValues; });
+          sheet.operations.push({ type: 'values', row, column });
+        },
+        setNumberFormat: (format) => sheet.operations.push({ type: 'format', row, column, format }),
+        setFontWeight: () => {}
+      })
+    };
+  };
+
+  return {
+    calls,
+    store,
+    PropertiesService: {
+      getScriptProperties: () => ({
+        getProperty: (key) => (key in store ? store[key] : null),
+        setProperty: (key, value) => { store[key] = String(value); },
+        deleteProperty: (key) => { delete store[key]; },
+        getProperties: () => ({ ...store })
+      })
+    },
+    UrlFetchApp: {
+      // Like GAS, status codes >= 400 throw unless muteHttpExceptions is set
+      fetch: (url, options = {}) => {
+        const response = fetchOne(url, options);
+        if (response.getResponseCode() >= 400 && !options.muteHttpExceptions) {
+          throw new Error(`Request failed for ${url} returned code ${response.getResponseCode()}`);
+        }
+        return response;
+      },
+      fetchAll: (requests) => requests.map(request => fetchOne(request.url, request))
+    },
+    Logger: { log: (message) => calls.logs.push(String(message)) },
+    Utilities: {
+      sleep: () => {},
+      formatDate: (date) => date.toISOString()
+    },
+    DriveApp: {
+      getFileById: (id) => {
+        if (!calls.files[id]) throw new Error(`No file with id ${id}`);
+        return calls.files[id];
+      },
+      createFile: (name, content) => createFile(`file-${++fileSequence}`, name, content),
+      getFolderById: (folderId) => ({
+        getId: () => folderId,
+        createFile: (name, content) => createFile(`file-${++fileSequence}`, name, content),
+        getFiles: () => iterate(Object.values(calls.files).filter(file => !file.trashed)),
+        getFilesByName: (name) => iterate(Object.values(calls.files).filter(file => !file.trashed && file.name === name))
+      })
+    },
+    DocumentApp: {
+      openById: (docId) => ({
+        getName: () => 'Test Document',
+        getId: () => docId,
+        getUrl: () => `https://docs.google.com/document/d/${docId}/edit`,
+        getBody: () => ({
+          clear: () => { calls.paragraphs.length = 0; },
+          appendParagraph: (text) => element(text, 'paragraph'),
+          appendListItem: (text) => element(text, 'listItem'),
+          appendTable: (cells) => element(cells, 'table')
+        })
+      }),
+      ParagraphHeading: { TITLE: 'TITLE', HEADING1: 'HEADING1', HEADING2: 'HEADING2', HEADING3: 'HEADING3' },
+      GlyphType: { BULLET: 'BULLET' }
+    },
+    SpreadsheetApp: {
+      openById: (sheetId) => {
+        const sheets = {};
+        return {
+          getId: () => sheetId,
+          getUrl: () => `https://docs.google.com/spreadsheets/d/${sheetId}/edit`,
+          getSheetByName: (name) => sheets[name] || null,
+          insertSheet: (name) => (sheets[name] = createSheet(name))
+        };
+      }
+    },
+    MailApp: {
+      sendEmail: (message) => calls.emails.push(message),
+      getRemainingDailyQuota: () => 100
+    },
+    ScriptApp: {
+      newTrigger: (handlerFunction) => {
+        const builder = {
+          timeBased: () => builder,
+          after: () => builder,
+          everyWeeks: () => builder,
+          onWeekDay: () => builder,
+          atHour: () => builder,
+          create: () => {
+            const trigger = { getHandlerFunction: () => handlerFunction, getUniqueId: () => `trigger-${calls.triggers.length}` };
+            calls.triggers.push(trigger);
+            return trigger;
+          }
+        };
+        return builder;
+      },
+      getProjectTriggers: () => calls.triggers.slice(),
+      deleteTrigger: (trigger) => { calls.triggers.splice(calls.triggers.indexOf(trigger), 1); },
+      WeekDay: { MONDAY: 'MONDAY' }
+    },
+    // Drive file IDs created by tests (e.g. a TEXT_FILE_ID target) need to exist before the run
+    addFile: (id, name, content = '') => createFile(id, name, content)
+  };
+}
+
+module.exports = { createGasFakes };
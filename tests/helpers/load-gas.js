@@ -0,0 +1,47 @@
+/**
+ * Load Code.gs for tests
+ *
+ * Evaluates the whole script the way local-debug.js's loadGASCode does, but inside a fresh
+ * vm context per call so module-level caches (EXECUTION_CACHE, USER_NAME_CACHE, ...) never leak
+ * between tests. Top-level functions are properties of the returned context; use
+ * `gas.evaluate('EXECUTION_CACHE')` for module-level constants. Pass the `fakes` of an earlier call to
+ * simulate a later Apps Script execution against the same properties, Drive files and triggers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createGasFakes } = require('./gas-fakes');
+
+const CODE_PATH = path.join(__dirname, '..', '..', 'Code.gs');
+const code = fs.readFileSync(CODE_PATH, 'utf8');
+
+// Required properties plus a text file target, enough for getConfig() to pass
+const BASE_PROPERTIES = {
+  QUANTIVE_API_TOKEN: 'test-token',
+  QUANTIVE_ACCOUNT_ID: 'test-account',
+  QUANTIVE_BASE_URL: 'https://quantive.test/results/api/v1',
+  SESSIONS: 'Q4 2024,Annual 2025',
+  TEXT_FILE_ID: 'snapshotFile1234567890'
+};
+
+function loadGAS(options = {}) {
+  const fakes = options.fakes || createGasFakes(options);
+  const context = vm.createContext({
+    console,
+    PropertiesService: fakes.PropertiesService,
+    UrlFetchApp: fakes.UrlFetchApp,
+    Logger: fakes.Logger,
+    Utilities: fakes.Utilities,
+    DriveApp: fakes.DriveApp,
+    DocumentApp: fakes.DocumentApp,
+    SpreadsheetApp: fakes.SpreadsheetApp,
+    MailApp: fakes.MailApp,
+    ScriptApp: fakes.ScriptApp
+  });
+  vm.runInContext(code, context, { filename: 'Code.gs' });
+  context.evaluate = (expression) => vm.runInContext(expression, context);
+  return { gas: context, fakes };
+}
+
+module.exports = { loadGAS, BASE_PROPERTIES };
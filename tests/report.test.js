@@ -0,0 +1,460 @@
+const { loadGAS, BASE_PROPERTIES } = require('./helpers/load-gas');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// Small report data set in the shape fetchSessionData returns
+function buildData(gas) {
+  const objectives = [
+    { id: 'o1', name: 'Grow revenue', ownerName: 'Ana', sessionName: 'Q4 2024', progress: 40 },
+    { id: 'o2', name: 'Expand markets', ownerName: 'Raj', sessionName: 'Q4 2024', parentId: 'o1', progress: 70 },
+    { id: 'o3', name: 'Hire, "fast"', ownerName: 'Kim', sessionName: 'Q4 2024', progress: 0 }
+  ];
+  const keyResults = [
+    { id: 'k1', goalId: 'o1', name: 'Reach $12M ARR', progress: 60, status: 'On track', ownerName: 'Ana', lastModified: daysAgo(1) },
+    { id: 'k2', goalId: 'o1', name: 'Cut churn', progress: 20, status: 'At risk', ownerName: 'Raj', lastModified: daysAgo(30) },
+    { id: 'k3', goalId: 'o2', name: 'Launch DACH', progress: 70, status: 'On track', ownerName: 'Raj', lastModified: daysAgo(3) }
+  ];
+  return {
+    sessions: [{ id: 's1', name: 'Q4 2024' }],
+    sessionCount: 1,
+    sessionNames: 'Q4 2024',
+    objectives,
+    keyResults,
+    hierarchicalObjectives: gas.buildObjectiveHierarchy(objectives)
+  };
+}
+
+describe('buildObjectiveHierarchy', () => {
+  const { gas } = loadGAS();
+
+  test('puts children right after their parent with nested numbering', () => {
+    const { hierarchicalObjectives } = buildData(gas);
+
+    expect(hierarchicalObjectives.map(obj => [obj.id, obj.level, obj.hierarchicalIndex])).toEqual([
+      ['o1', 0, '1'],
+      ['o2', 1, '1.1'],
+      ['o3', 0, '2']
+    ]);
+    expect(hierarchicalObjectives[0].children).toEqual(['o2']);
+  });
+
+  test('treats objectives whose parent is outside the data set as roots', () => {
+    const hierarchy = gas.buildObjectiveHierarchy([
+      { id: 'a', name: 'A', parentId: 'elsewhere' },
+      { id: 'b', name: 'B', parentId: 'a' }
+    ]);
+    expect(hierarchy.map(obj => [obj.id, obj.level])).toEqual([['a', 0], ['b', 1]]);
+  });
+
+  test('returns a flat list when no parent field is present', () => {
+    const hierarchy = gas.buildObjectiveHierarchy([{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }]);
+    expect(hierarchy.map(obj => [obj.level, obj.hierarchicalIndex])).toEqual([[0, 1], [0, 2]]);
+  });
+});
+
+describe('calculateStats', () => {
+  const { gas } = loadGAS({ properties: BASE_PROPERTIES });
+  const config = gas.getConfig();
+
+  test('summarizes progress, statuses, recent updates and hierarchy', () => {
+    const stats = gas.calculateStats(buildData(gas), config);
+
+    expect(stats.overallProgress).toBe(50);
+    expect(stats.totalObjectives).toBe(3);
+    expect(stats.totalKeyResults).toBe(3);
+    expect(stats.statusCounts).toEqual({ 'On track': 2, 'At risk': 1 });
+    expect(stats.recentUpdates).toBe(2);
+    expect(stats.hierarchyStats).toMatchObject({ totalLevels: 2, rootObjectives: 2, leafObjectives: 2 });
+    expect(stats.progressDeltas).toBeNull();
+  });
+
+  test('lists key results without a recent update as stale', () => {
+    const stats = gas.calculateStats(buildData(gas), config);
+    expect(stats.staleKeyResults.map(kr => [kr.name, kr.daysSinceUpdate])).toEqual([['Cut churn', 30]]);
+  });
+
+  test('names stale key results that have no name', () => {
+    const data = buildData(gas);
+    delete data.keyResults[1].name;
+    expect(gas.calculateStats(data, config).staleKeyResults.map(kr => kr.name)).toEqual(['Untitled key result']);
+  });
+
+  test('uses KR weights under the weighted rollup strategy', () => {
+    const data = buildData(gas);
+    data.keyResults[0].weight = 3;
+    const stats = gas.calculateStats(data, { ...config, rollupStrategy: 'weighted' });
+    expect(stats.overallProgress).toBe(Math.round((60 * 3 + 20 + 70) / 5));
+  });
+});
+
+describe('generateSparkline', () => {
+  const { gas } = loadGAS();
+  const history = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100]
+    .map((progress, i) => ({ date: `2024-10-${String(i + 1).padStart(2, '0')}`, progress }));
+
+  test('returns a dash without history', () => {
+    expect(gas.generateSparkline([], {})).toBe('—');
+    expect(gas.generateSparkline(null, {})).toBe('—');
+  });
+
+  test('returns a dash when sparklines are skipped', () => {
+    expect(gas.generateSparkline(history, { skipSparklines: true })).toBe('—');
+  });
+
+  test('renders a rising trend from low to high blocks in date order', () => {
+    const sparkline = gas.generateSparkline([...history].reverse(), { skipSparklines: false });
+    expect(sparkline).toHaveLength(10);
+    expect(sparkline[0]).toBe('▁');
+    expect(sparkline[sparkline.length - 1]).toBe('█');
+  });
+});
+
+describe('buildOwnerReports', () => {
+  const { gas } = loadGAS({ properties: BASE_PROPERTIES });
+  const config = gas.getConfig();
+
+  test('files key results that inherit the objective owner under that owner\'s ID', () => {
+    const data = buildData(gas);
+    Object.assign(data.objectives[0], { ownerId: 'u-ana', ownerEmail: 'ana@example.com' });
+    data.keyResults.push({ id: 'k4', goalId: 'o1', name: 'Win two logos', progress: 10, objectiveOwner: 'Ana' });
+    const ana = gas.buildOwnerReports(data, config).filter(owner => owner.ownerName === 'Ana');
+
+    expect(ana).toHaveLength(1);
+    expect(ana[0].ownerEmail).toBe('ana@example.com');
+    expect(ana[0].objectives.map(obj => obj.name)).toEqual(['Grow revenue']);
+    expect(ana[0].keyResults.map(kr => kr.name)).toEqual(['Reach $12M ARR', 'Win two logos']);
+  });
+});
+
+describe('buildSlackDigestPayload', () => {
+  const { gas } = loadGAS({ properties: BASE_PROPERTIES });
+  const config = gas.getConfig();
+
+  test('shortens a header over Slack\'s 150 characters and keeps the full title', () => {
+    const data = buildData(gas);
+    data.sessionNames = Array.from({ length: 12 }, (_, i) => `Engineering Platform Quarter ${i + 1}`).join(', ');
+    const digest = gas.buildReportDigest(data, gas.calculateStats(data, config), config, null);
+    const payload = gas.buildSlackDigestPayload(digest);
+
+    expect(payload.blocks[0].text.text).toHaveLength(150);
+    expect(payload.blocks[1].text.text.startsWith(`*${digest.title}*\n`)).toBe(true);
+    expect(payload.text.startsWith(digest.title)).toBe(true);
+  });
+});
+
+describe('writeSheetsReport', () => {
+  test('formats the Index column as text before writing and neutralizes formula-like text', () => {
+    const { gas, fakes } = loadGAS({ properties: BASE_PROPERTIES });
+    const config = gas.getConfig();
+    const data = buildData(gas);
+    data.hierarchicalObjectives[0].name = '=IMPORTXML("http://evil", "//a")';
+    data.keyResults[1].description = '-5 points of churn';
+    gas.writeSheetsReport('reportSheet123456789', data, gas.calculateStats(data, config), config);
+
+    const objectives = fakes.calls.sheets.Objectives;
+    const operations = objectives.operations.map(({ type, column, format }) => (type === 'values' ? 'values' : `${column}:${format}`));
+    expect(operations.indexOf('2:@')).toBeGreaterThanOrEqual(0);
+    expect(operations.indexOf('2:@')).toBeLessThan(operations.indexOf('values'));
+    expect(objectives.cells.slice(1).map(row => row[1])).toEqual(['1', '1.1', '2']);
+    expect(objectives.cells[1][2]).toBe(`'=IMPORTXML("http://evil", "//a")`);
+    expect(fakes.calls.sheets['Key Results'].cells[2][9]).toBe(`'-5 points of churn`);
+  });
+});
+
+describe('buildJsonExport', () => {
+  const { gas } = loadGAS({ properties: { ...BASE_PROPERTIES, FILTER: 'progress < 100' } });
+  const config = gas.getConfig();
+  const data = buildData(gas);
+  const exported = gas.buildJsonExport(data, gas.calculateStats(data, config), config);
+
+  test('identifies the schema and the settings it was generated with', () => {
+    expect(exported).toMatchObject({ schema: 'quantive-export', schemaVersion: 1 });
+    expect(exported.generator).toMatchObject({ sessions: ['Q4 2024', 'Annual 2025'], filter: 'progress < 100', rollupStrategy: 'average' });
+    expect(new Date(exported.generatedAt).toString()).not.toBe('Invalid Date');
+  });
+
+  test('exports objectives in hierarchy order with links to parents, children and key results', () => {
+    expect(exported.objectives.map(obj => [obj.id, obj.parentId, obj.childIds, obj.level, obj.hierarchicalIndex, obj.keyResultIds])).toEqual([
+      ['o1', null, ['o2'], 0, '1', ['k1', 'k2']],
+      ['o2', 'o1', [], 1, '1.1', ['k3']],
+      ['o3', null, [], 0, '2', []]
+    ]);
+    expect(exported.objectives[0]).toMatchObject({ name: 'Grow revenue', ownerName: 'Ana', sessionName: 'Q4 2024', progress: 40 });
+    expect(exported.hierarchy).toEqual({ parentField: 'parentId', rootObjectiveIds: ['o1', 'o3'], order: ['o1', 'o2', 'o3'] });
+  });
+
+  test('exports key results with ISO dates and update age', () => {
+    const churn = exported.keyResults.find(kr => kr.id === 'k2');
+    expect(churn).toMatchObject({ objectiveId: 'o1', name: 'Cut churn', progress: 20, status: 'At risk', daysSinceUpdate: 30, tasks: [] });
+    expect(churn.lastModified).toBe(data.keyResults[1].lastModified);
+  });
+
+  test('includes the stats and survives a JSON round trip', () => {
+    expect(exported.stats).toMatchObject({ overallProgress: 50, totalObjectives: 3, totalKeyResults: 3, statusCounts: { 'On track': 2, 'At risk': 1 } });
+    expect(JSON.parse(JSON.stringify(exported))).toEqual(exported);
+  });
+});
+
+describe('buildCsvExportFiles', () => {
+  const { gas } = loadGAS();
+
+  test('writes objectives, key results and tasks linked by ID', () => {
+    const data = buildData(gas);
+    data.keyResults[0].tasks = [{ id: 't1', name: 'Pricing page', status: 'todo', ownerId: 'u1', ownerName: 'Ana' }];
+    const files = gas.buildCsvExportFiles(data);
+
+    expect(Object.keys(files)).toEqual(['objectives.csv', 'key_results.csv', 'tasks.csv']);
+    expect(files['objectives.csv'].split('\r\n').slice(0, 3)).toEqual([
+      'id,parent_id,session_name,name,description,owner_id,owner_name,progress,status,last_modified',
+      'o1,,Q4 2024,Grow revenue,,,Ana,40,,',
+      'o2,o1,Q4 2024,Expand markets,,,Raj,70,,'
+    ]);
+    expect(files['key_results.csv']).toContain(`k2,o1,Q4 2024,Cut churn,,,Raj,20,At risk,${data.keyResults[1].lastModified}\r\n`);
+    expect(files['tasks.csv']).toBe('id,key_result_id,objective_id,session_name,name,owner_id,owner_name,status,last_modified\r\nt1,k1,o1,Q4 2024,Pricing page,u1,Ana,todo,\r\n');
+  });
+
+  test('quotes fields with commas, quotes and line breaks', () => {
+    const data = buildData(gas);
+    data.hierarchicalObjectives.find(obj => obj.id === 'o3').description = 'Hire "senior" engineers,\nthen managers';
+    const objectives = gas.buildCsvExportFiles(data)['objectives.csv'];
+
+    expect(objectives).toContain('o3,,Q4 2024,"Hire, ""fast""","Hire ""senior"" engineers,\nthen managers",,Kim,0,,\r\n');
+  });
+
+  test('prefixes text that spreadsheets would run as a formula', () => {
+    const data = buildData(gas);
+    Object.assign(data.hierarchicalObjectives.find(obj => obj.id === 'o3'), { name: '=HYPERLINK("http://evil")', description: '-1+2', ownerName: '@Kim' });
+    const objectives = gas.buildCsvExportFiles(data)['objectives.csv'];
+
+    expect(objectives).toContain(`o3,,Q4 2024,"'=HYPERLINK(""http://evil"")",'-1+2,,'@Kim,0,,\r\n`);
+  });
+});
+
+describe('calculateForecasts', () => {
+  const { gas } = loadGAS();
+
+  // Session is halfway through: 40 days elapsed, 40 days left
+  function buildForecastData(keyResults) {
+    const objectives = [{ id: 'o1', name: 'Keep customers', progress: 50 }];
+    return {
+      sessions: [{ id: 's1', name: 'Q4 2024', start: daysAgo(40), end: daysAgo(-40) }],
+      objectives,
+      keyResults: keyResults.map(kr => ({ goalId: 'o1', ...kr }))
+    };
+  }
+
+  test('scales metric value history between start and target for falling metrics', () => {
+    // Churn falls from 8% towards 4%: 6.4 → 6.0 over 20 days is 40% → 50% progress
+    const forecasts = gas.calculateForecasts(buildForecastData([{
+      id: 'churn', name: 'Reduce churn to 4%', progress: 50, initialValue: 8, target: 4,
+      progressHistory: [{ date: daysAgo(20), progress: 6.4 }, { date: daysAgo(0), progress: 6.0 }]
+    }]));
+
+    expect(forecasts.keyResults.churn.projectedProgress).toBe(70);
+  });
+
+  test('falls back to the steady rate when the history has no start and target', () => {
+    const forecasts = gas.calculateForecasts(buildForecastData([{
+      id: 'arr', name: 'Reach $12M ARR', progress: 20,
+      progressHistory: [{ date: daysAgo(20), progress: 9000000 }, { date: daysAgo(0), progress: 9600000 }]
+    }]));
+
+    expect(forecasts.keyResults.arr.projectedProgress).toBe(40);
+  });
+});
+
+describe('calculateSessionComparison', () => {
+  const { gas, fakes } = loadGAS({ properties: { ...BASE_PROPERTIES, SESSIONS: 'Q2 2025,Q3 2025', COMPARE_SESSIONS: 'true' } });
+  const config = gas.getConfig();
+
+  // Q3 continues "Grow revenue" by name and "Hire team" through its parent; "Ship app" was finished and "Cut costs" dropped
+  function buildPeriodData() {
+    const objectives = [
+      { id: 'a1', sessionId: 'q2', name: 'Grow revenue', ownerName: 'Ana', progress: 40 },
+      { id: 'a2', sessionId: 'q2', name: 'Ship app', ownerName: 'Raj', progress: 100 },
+      { id: 'a3', sessionId: 'q2', name: 'Cut costs', ownerName: 'Kim', progress: 30 },
+      { id: 'a4', sessionId: 'q2', name: 'Hire team', ownerName: 'Ana', progress: 50 },
+      { id: 'b1', sessionId: 'q3', name: 'grow  Revenue', ownerName: 'Ana', progress: 60 },
+      { id: 'b4', sessionId: 'q3', name: 'Hire the platform team', ownerName: 'Lee', parentId: 'a4', progress: 70 },
+      { id: 'b5', sessionId: 'q3', name: 'Launch EU', ownerName: 'Raj', progress: 10 }
+    ];
+    return {
+      // Listed out of order: periods follow the session start dates
+      sessions: [
+        { id: 'q3', name: 'Q3 2025', start: '2025-07-01', end: '2025-09-30' },
+        { id: 'q2', name: 'Q2 2025', start: '2025-04-01', end: '2025-06-30' }
+      ],
+      objectives,
+      keyResults: objectives.map(obj => ({ id: `kr-${obj.id}`, goalId: obj.id, name: `KR of ${obj.name}`, progress: obj.progress })),
+      hierarchicalObjectives: gas.buildObjectiveHierarchy(objectives)
+    };
+  }
+
+  test('reports attainment per period in session order', () => {
+    const comparison = gas.calculateSessionComparison(buildPeriodData(), config);
+    expect(comparison.periods).toEqual([
+      { sessionId: 'q2', name: 'Q2 2025', objectiveCount: 4, attainment: 55 },
+      { sessionId: 'q3', name: 'Q3 2025', objectiveCount: 3, attainment: 47 }
+    ]);
+  });
+
+  test('matches objectives by parent linkage or name and classifies them', () => {
+    const comparison = gas.calculateSessionComparison(buildPeriodData(), config);
+
+    expect(comparison.tracks.map(track => [track.name, track.progress, track.status])).toEqual([
+      ['grow  Revenue', [40, 60], 'carried-over'],
+      ['Ship app', [100, null], 'completed'],
+      ['Cut costs', [30, null], 'dropped'],
+      ['Hire the platform team', [50, 70], 'carried-over'],
+      ['Launch EU', [null, 10], 'new']
+    ]);
+    expect(comparison.carriedOver.map(track => track.objectiveIds)).toEqual([['a1', 'b1'], ['a4', 'b4']]);
+    expect(comparison.dropped.map(track => track.name)).toEqual(['Cut costs']);
+    expect(comparison.added.map(track => track.name)).toEqual(['Launch EU']);
+  });
+
+  test('lists each objective under at most one of carried over, dropped and new', () => {
+    const objectives = [
+      { id: 'p1', sessionId: 'q1', name: 'Cut costs', progress: 20 },
+      { id: 'p2', sessionId: 'q2', name: 'Cut costs', progress: 40 },
+      { id: 'p3', sessionId: 'q2', name: 'Launch EU', progress: 10 },
+      { id: 'p4', sessionId: 'q3', name: 'Launch EU', progress: 50 }
+    ];
+    const comparison = gas.calculateSessionComparison({
+      sessions: [{ id: 'q1', name: 'Q1 2025' }, { id: 'q2', name: 'Q2 2025' }, { id: 'q3', name: 'Q3 2025' }],
+      objectives,
+      keyResults: objectives.map(obj => ({ id: `kr-${obj.id}`, goalId: obj.id, progress: obj.progress }))
+    }, config);
+
+    expect(comparison.carriedOver.map(track => track.name)).toEqual(['Launch EU']);
+    expect(comparison.dropped.map(track => track.name)).toEqual(['Cut costs']);
+    expect(comparison.added).toEqual([]);
+  });
+
+  test('is part of the stats only in comparison mode', () => {
+    const data = buildPeriodData();
+    expect(gas.calculateStats(data, config).sessionComparison.periods).toHaveLength(2);
+    expect(gas.calculateStats(data, { ...config, compareSessions: false }).sessionComparison).toBeNull();
+  });
+
+  test('renders a side-by-side table in the Google Doc', () => {
+    const data = buildPeriodData();
+    gas.writeReport('reportDocument123456', data, gas.calculateStats(data, config), config);
+
+    const texts = fakes.calls.paragraphs.map(paragraph => paragraph.text);
+    expect(texts).toContain('Session Comparison');
+    expect(texts).toContain('Q2 2025: 55% attainment (4 objectives)');
+    expect(texts.find(Array.isArray)).toContainEqual(['Cut costs', '30%', '–', 'Dropped']);
+    expect(texts).toContain('Cut costs (Owner: Kim) – last in Q2 2025 at 30%');
+    expect(texts).toContain('Hire the platform team (Owner: Lee) – Q2 2025: 50% → Q3 2025: 70%');
+  });
+
+  test('requires at least two sessions', () => {
+    expect(() => loadGAS({ properties: { ...BASE_PROPERTIES, SESSIONS: 'Q2 2025', COMPARE_SESSIONS: 'true' } }).gas.getConfig())
+      .toThrow(/COMPARE_SESSIONS needs at least two SESSIONS/);
+  });
+});
+
+describe('buildPlainTextSnapshot', () => {
+  const { gas } = loadGAS({ properties: BASE_PROPERTIES });
+  const config = gas.getConfig();
+
+  test('renders the summary, status breakdown and nested objectives', () => {
+    const data = buildData(gas);
+    const markdown = gas.buildPlainTextSnapshot(data, gas.calculateStats(data, config), config);
+
+    expect(markdown).toMatch(/^# Quantive Snapshot: Q4 2024\n/);
+    expect(markdown).toContain('## Executive Summary\n- Overall Progress: 50%\n- Total Objectives: 3');
+    expect(markdown).toContain('## Status Breakdown\n- On track: 2 (67%)\n- At risk: 1 (33%)');
+    expect(markdown).toContain('- Grow revenue (Progress: 40% | Owner: Ana)');
+    expect(markdown).toContain('  - KR: Reach $12M ARR (Progress: 60% | Owner: Ana)');
+    expect(markdown).toContain('  - Expand markets (Progress: 70% | Owner: Raj)');
+    expect(markdown).toContain('- Hire, "fast" (Progress: 0% | Owner: Kim)\n  - Key Results: None');
+    expect(markdown).toContain('## Stale Key Results\n- Cut churn (Owner: Raj | 30 days since last update)');
+  });
+});
+
+describe('progress snapshots', () => {
+  const FOLDER_ID = 'snapshotFolder1234567890';
+  const snapshotJson = (overrides) => JSON.stringify({ version: 1, generatedAt: '2025-01-01T00:00:00.000Z', overallProgress: 10, objectives: {}, keyResults: {}, ...overrides });
+
+  test('saves a snapshot that the next run loads back unchanged', () => {
+    const { gas, fakes } = loadGAS({ properties: BASE_PROPERTIES });
+    const data = buildData(gas);
+    const snapshot = gas.buildProgressSnapshot(data, gas.calculateStats(data, gas.getConfig()));
+    gas.saveProgressSnapshot(FOLDER_ID, snapshot);
+
+    const [file] = Object.values(fakes.calls.files);
+    expect(file.name).toBe(`quantive-snapshot-${snapshot.generatedAt.replace(/[:.]/g, '-')}.json`);
+    expect(snapshot).toMatchObject({
+      version: 1,
+      sessionNames: 'Q4 2024',
+      overallProgress: 50,
+      objectives: { o1: { name: 'Grow revenue', progress: 40, status: null, owner: 'Ana' }, o3: { progress: 0 } },
+      keyResults: { k2: { goalId: 'o1', name: 'Cut churn', progress: 20, status: 'At risk', owner: 'Raj' } }
+    });
+    expect(gas.loadPreviousProgressSnapshot(FOLDER_ID)).toEqual(JSON.parse(JSON.stringify(snapshot)));
+  });
+
+  test('loads the snapshot with the latest timestamp in its file name', () => {
+    const { gas, fakes } = loadGAS();
+    fakes.addFile('march', 'quantive-snapshot-2025-03-01T00-00-00-000Z.json', snapshotJson({ overallProgress: 30 }));
+    fakes.addFile('april', 'quantive-snapshot-2025-04-01T00-00-00-000Z.json', snapshotJson({ overallProgress: 40 }));
+    fakes.addFile('january', 'quantive-snapshot-2025-01-01T00-00-00-000Z.json', snapshotJson({ overallProgress: 10 }));
+    fakes.addFile('markdown', 'quantive-snapshot.md', '# Quantive Snapshot');
+    fakes.addFile('other', 'zz-notes-2099.json', snapshotJson({ overallProgress: 99 }));
+
+    expect(gas.loadPreviousProgressSnapshot(FOLDER_ID).overallProgress).toBe(40);
+  });
+
+  // An older valid snapshot is never used in place of an unusable latest one
+  test.each([
+    ['the folder has no snapshots', [['quantive-snapshot.md', '# Quantive Snapshot']]],
+    ['the latest snapshot has another version', [
+      ['quantive-snapshot-2025-01-01.json', snapshotJson()],
+      ['quantive-snapshot-2025-04-01.json', snapshotJson({ version: 2 })]
+    ]],
+    ['the latest snapshot is not valid JSON', [
+      ['quantive-snapshot-2025-01-01.json', snapshotJson()],
+      ['quantive-snapshot-2025-04-01.json', '{"version": 1,']
+    ]]
+  ])('returns null when %s', (reason, files) => {
+    const { gas, fakes } = loadGAS();
+    files.forEach(([name, content], index) => fakes.addFile(`file${index}`, name, content));
+
+    expect(gas.loadPreviousProgressSnapshot(FOLDER_ID)).toBeNull();
+  });
+
+  test('reports deltas for objectives in both runs and skips new and removed ones', () => {
+    const { gas } = loadGAS({ properties: BASE_PROPERTIES });
+    const config = gas.getConfig();
+    const previous = buildData(gas);
+    const snapshot = JSON.parse(JSON.stringify(gas.buildProgressSnapshot(previous, gas.calculateStats(previous, config))));
+
+    // Next run: ARR moved up, "Hire, fast" was removed and "Launch EU" is new
+    const data = buildData(gas);
+    data.keyResults[0].progress = 80;
+    data.objectives = [...data.objectives.filter(obj => obj.id !== 'o3'), { id: 'o4', name: 'Launch EU', ownerName: 'Lee', progress: 10 }];
+    data.hierarchicalObjectives = gas.buildObjectiveHierarchy(data.objectives);
+    const stats = gas.calculateStats(data, config, snapshot);
+
+    expect(stats.progressDeltas).toEqual({
+      previousGeneratedAt: snapshot.generatedAt,
+      overall: stats.overallProgress - 50,
+      objectives: { o1: 10, o2: 0 }
+    });
+    const markdown = gas.buildPlainTextSnapshot(data, stats, config);
+    expect(markdown).toContain(`- Overall Progress: ${stats.overallProgress}% (+${stats.overallProgress - 50}% since last run)`);
+    expect(markdown).toContain('- Grow revenue (Progress: 50%, +10% since last run | Owner: Ana)');
+    expect(markdown).toContain('  - Expand markets (Progress: 70%, no change since last run | Owner: Raj)');
+    expect(markdown).toContain('- Launch EU (Progress: 10% | Owner: Lee)');
+  });
+
+  test('has no overall delta when the previous snapshot lacks overall progress', () => {
+    const { gas } = loadGAS();
+    const data = buildData(gas);
+    const deltas = gas.calculateProgressDeltas(data, 50, { objectives: { o2: { progress: 'n/a' } } });
+
+    expect(deltas).toEqual({ previousGeneratedAt: null, overall: null, objectives: {} });
+  });
+});
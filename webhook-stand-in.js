@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for Slack / Google Chat incoming webhooks
+ *
+ * Prints every posted payload and saves it to debug-output/webhook-<n>.json so the
+ * digest can be checked without posting to a real channel. Point WEBHOOK_URL at it:
+ *
+ *   node webhook-stand-in.js [--port 8787] [--status 200]
+ *   WEBHOOK_URL=http://localhost:8787/hook npm run debug
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const argValue = (name, defaultValue) => {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : defaultValue;
+};
+
+const port = parseInt(argValue('--port', '8787'), 10);
+const status = parseInt(argValue('--status', '200'), 10); // e.g. --status 500 to test failure handling
+const outputDir = path.join(__dirname, 'debug-output');
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received++;
+    console.log(`💬 ${req.method} ${req.url} (${req.headers['content-type'] || 'no content type'})`);
+    
+    try {
+      const payload = JSON.parse(body);
+      console.log(JSON.stringify(payload, null, 2));
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir);
+      }
+      const outputFile = path.join(outputDir, `webhook-${received}.json`);
+      fs.writeFileSync(outputFile, JSON.stringify(payload, null, 2));
+      console.log(`💾 Saved to ${outputFile}`);
+    } catch (error) {
+      console.log(`⚠️ Body is not valid JSON: ${body.substring(0, 200)}`);
+    }
+    
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(status >= 200 && status < 300 ? 'ok' : 'stand-in error');
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🚀 Webhook stand-in listening on http://localhost:${port}/ (responding ${status})`);
+});